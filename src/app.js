@@ -2,6 +2,7 @@ import express from "express";
 import cookieParser from "cookie-parser";
 import cors from "cors";
 import { errorHandler } from "./middlewares/index.js";
+import { getUploadDir } from "./services/storage.service.js";
 
 const app = express();
 
@@ -10,6 +11,7 @@ app.use(
     origin: ["http://localhost:5173", "https://skill-nexus-frontend.vercel.app"],
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     credentials: true,
+    exposedHeaders: ["X-Impersonated-By"],
   })
 );
 
@@ -22,6 +24,9 @@ app.get("/", (req, res) => {
   res.send("Welcome...");
 });
 
+// Uploaded files (avatars) when they are stored on local disk
+app.use("/uploads", express.static(getUploadDir(), { maxAge: "365d", immutable: true }));
+
 // Routes
 import Routes from "./routes/index.js";
 app.use("/api/v1", Routes);
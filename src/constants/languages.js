@@ -0,0 +1,19 @@
+// How well a member speaks a language, weakest first so levels can be compared by index
+export const FLUENCY_LEVELS = ["basic", "conversational", "fluent", "native"];
+
+// Ways a member is willing to run sessions
+export const TEACHING_FORMATS = {
+    VIDEO_CALL: "video-call",
+    IN_PERSON: "in-person",
+    ASYNC: "async",
+};
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+// ISO 639 codes such as "ur" or "ja". DisplayNames hands unknown codes back unchanged.
+export const isLanguageCode = (code) => /^[a-z]{2,3}$/.test(code) && languageNames.of(code) !== code;
+
+export const getLanguageName = (code) => languageNames.of(code);
+
+// Fluency levels at or above `minFluency`, for filtering
+export const fluencyAtLeast = (minFluency) => FLUENCY_LEVELS.slice(Math.max(FLUENCY_LEVELS.indexOf(minFluency), 0));
@@ -0,0 +1,27 @@
+// Permission names are "<resource>:<action>"
+export const PERMISSIONS = {
+    USERS_READ_ALL: "users:read-all",
+    USERS_BAN: "users:ban",
+    USERS_MANAGE_ROLES: "users:manage-roles",
+    USERS_IMPERSONATE: "users:impersonate",
+    REVIEWS_MODERATE: "reviews:moderate",
+    REPORTS_MODERATE: "reports:moderate",
+    ANALYTICS_READ_ALL: "analytics:read-all",
+    AUDIT_READ_ALL: "audit:read-all",
+    INVITES_MANAGE: "invites:manage",
+};
+
+export const ROLES = {
+    USER: "user",
+    ADMIN: "admin",
+};
+
+// What each role may do on top of the regular "your own data" access every user has
+export const ROLE_PERMISSIONS = {
+    [ROLES.USER]: [],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+export const roleHasPermission = (role, permission) => {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
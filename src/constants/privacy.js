@@ -0,0 +1,29 @@
+// Who can see a profile field, on top of the owner who always can
+export const PRIVACY_AUDIENCES = {
+    EVERYONE: "everyone",
+    TRADE_PARTNERS: "trade-partners",
+    NOBODY: "nobody",
+};
+
+// Fields users can hide, with what a new account starts with
+export const PRIVACY_DEFAULTS = {
+    email: PRIVACY_AUDIENCES.TRADE_PARTNERS,
+    city: PRIVACY_AUDIENCES.EVERYONE,
+    socialLinks: PRIVACY_AUDIENCES.EVERYONE,
+    age: PRIVACY_AUDIENCES.TRADE_PARTNERS,
+};
+
+// How the viewer relates to the profile owner
+export const RELATIONSHIPS = {
+    SELF: "self",
+    TRADE_PARTNER: "trade-partner",
+    STRANGER: "stranger",
+};
+
+export const isFieldVisible = (privacy = {}, field, relationship) => {
+    if (relationship === RELATIONSHIPS.SELF) return true;
+
+    const audience = privacy[field] || PRIVACY_DEFAULTS[field];
+    if (audience === PRIVACY_AUDIENCES.EVERYONE) return true;
+    return audience === PRIVACY_AUDIENCES.TRADE_PARTNERS && relationship === RELATIONSHIPS.TRADE_PARTNER;
+};
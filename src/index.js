@@ -7,6 +7,7 @@ import { createServer } from "http";
 import connectDB from "./db/index.js";
 import app from "./app.js"
 import { initializeSocket } from "./services/socket.service.js";
+import { startAccountDeletionScheduler } from "./services/account.service.js";
 
 const port = process.env.PORT || 8080;
 
@@ -17,6 +18,9 @@ const port = process.env.PORT || 8080;
         // Create HTTP server and attach Socket.IO
         const server = createServer(app);
         initializeSocket(server);
+
+        // Anonymise accounts whose deletion grace period has ended
+        startAccountDeletionScheduler();
         
         server.listen(port, () => console.log(`🚀 Server is running on port: ${port}`));
     } catch (error) {
@@ -1,12 +1,28 @@
 import { User } from "../models/index.js";
+import { isSessionActive } from "../services/session.service.js";
+import { findActiveApiKey, isMethodAllowedForScope } from "../services/apiKey.service.js";
+import { recordAuditEvent } from "../services/audit.service.js";
+import { ImpersonationAuditModel } from "../models/impersonationAudit.model.js";
+import { PERMISSIONS, roleHasPermission } from "../constants/permissions.js";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 
-const verifyJwt = asyncHandler(async (req, res, next) => {
-  const accessToken =
-    req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "");
+// Suspended and banned accounts are refused everywhere: requests, refreshes, logins and sockets
+const assertNotSanctioned = (user) => {
+  const sanction = user.getActiveSanction();
+  if (!sanction) return;
+
+  const error =
+    sanction.kind === "ban"
+      ? new ApiError(403, `Your account has been banned: ${sanction.reason}`)
+      : new ApiError(403, `Your account is suspended until ${sanction.until.toISOString()}: ${sanction.reason}`);
+  error.data = { sanction: { kind: sanction.kind, reason: sanction.reason, until: sanction.until } };
+  throw error;
+};
 
+// Shared by verifyJwt and the Socket.IO handshake, `req` is only there for the audit trail
+const authenticateAccessToken = async (accessToken, req = null) => {
   if (!accessToken) {
     throw new ApiError(401, "Access denied, access token not provided");
   }
@@ -18,14 +34,145 @@ const verifyJwt = asyncHandler(async (req, res, next) => {
     throw new ApiError(401, "Invalid or expired access token");
   }
 
-  const user = await User.findById(decodedAccessToken?._id).select("-password -refreshToken");
+  // Access tokens die with their session, so revoking a device takes effect immediately
+  const sessionActive = await isSessionActive(decodedAccessToken?.sid);
+  if (!sessionActive) {
+    // A correctly signed token for a dead session may have been copied before logout
+    recordAuditEvent("revoked-session-used", {
+      userId: decodedAccessToken._id,
+      req,
+      metadata: { sessionId: decodedAccessToken.sid },
+    });
+    throw new ApiError(401, "Session has been revoked or expired");
+  }
+
+  const user = await User.findById(decodedAccessToken?._id).select("-password");
 
   if (!user) {
     throw new ApiError(401, "User not found for this token");
   }
 
+  // Admins may still look into a sanctioned account through impersonation
+  if (!decodedAccessToken.imp) {
+    assertNotSanctioned(user);
+  }
+
+  return { user, decodedAccessToken };
+};
+
+const authenticateApiKey = async (rawKey, method) => {
+  const apiKey = await findActiveApiKey(rawKey);
+  if (!apiKey) {
+    throw new ApiError(401, "Invalid, expired or revoked API key");
+  }
+
+  if (!isMethodAllowedForScope(apiKey.scope, method)) {
+    throw new ApiError(403, "This API key is read-only");
+  }
+
+  const user = await User.findById(apiKey.userId).select("-password");
+  if (!user) {
+    throw new ApiError(401, "User not found for this API key");
+  }
+
+  assertNotSanctioned(user);
+
+  return { user, apiKey };
+};
+
+// Admin acting as another user: re-check the admin, flag the response and audit the request
+const attachImpersonation = async (req, res, adminId) => {
+  const impersonator = await User.findById(adminId).select("name email role");
+
+  if (!impersonator || !roleHasPermission(impersonator.role, PERMISSIONS.USERS_IMPERSONATE)) {
+    throw new ApiError(401, "Impersonation is no longer allowed for this token");
+  }
+
+  req.impersonator = impersonator;
+  res.set("X-Impersonated-By", impersonator._id.toString());
+
+  res.on("finish", () => {
+    ImpersonationAuditModel.create({
+      adminId: impersonator._id,
+      userId: req.user._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    }).catch((error) => console.error("Error writing impersonation audit:", error));
+  });
+};
+
+// Accepts a session access token (cookie or Bearer) or a personal API key (X-Api-Key)
+const verifyJwt = asyncHandler(async (req, res, next) => {
+  const rawApiKey = req.header("X-Api-Key");
+  if (rawApiKey) {
+    const { user, apiKey } = await authenticateApiKey(rawApiKey, req.method);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    return next();
+  }
+
+  // An explicit Bearer token wins over the cookie, so an admin's browser can send an impersonation token
+  const accessToken =
+    req.header("Authorization")?.replace("Bearer ", "") || req.cookies?.accessToken;
+
+  const { user, decodedAccessToken } = await authenticateAccessToken(accessToken, req);
+
   req.user = user;
+  req.sessionId = decodedAccessToken.sid;
+
+  if (decodedAccessToken.imp) {
+    await attachImpersonation(req, res, decodedAccessToken.imp);
+  }
+
   next();
 });
 
-export { verifyJwt };
\ No newline at end of file
+// Must run after verifyJwt
+const requireVerified = (req, res, next) => {
+  if (!req.user?.isVerified) {
+    return next(new ApiError(403, "Please verify your email address to continue"));
+  }
+  next();
+};
+
+// Must run after verifyJwt. For account and credential management, which only the account
+// owner's own login may reach: no API keys, no admin impersonation.
+const requireSessionAuth = (req, res, next) => {
+  if (req.apiKey || !req.sessionId) {
+    return next(new ApiError(403, "This action requires logging in, API keys are not accepted"));
+  }
+  if (req.impersonator) {
+    return next(new ApiError(403, "This action is not allowed while impersonating a user"));
+  }
+  next();
+};
+
+// Must run after verifyJwt, e.g. authorize("admin")
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ApiError(403, "You are not allowed to perform this action"));
+  }
+  next();
+};
+
+// Must run after verifyJwt, the user needs every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every((permission) => roleHasPermission(req.user.role, permission))) {
+    return next(new ApiError(403, "You are not allowed to perform this action"));
+  }
+  next();
+};
+
+export {
+  assertNotSanctioned,
+  authenticateAccessToken,
+  verifyJwt,
+  requireVerified,
+  requireSessionAuth,
+  authorize,
+  requirePermission,
+};
\ No newline at end of file
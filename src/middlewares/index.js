@@ -1,5 +1,21 @@
-import { verifyJwt } from "./auth.middleware.js";
+import {
+    verifyJwt,
+    requireVerified,
+    requireSessionAuth,
+    authorize,
+    requirePermission,
+} from "./auth.middleware.js";
 import errorHandler from "./errorHandler.middleware.js";
 import { validateRequest } from "./validate.middleware.js";
+import { uploadAvatar } from "./upload.middleware.js";
 
-export { verifyJwt, errorHandler, validateRequest };
\ No newline at end of file
+export {
+    verifyJwt,
+    requireVerified,
+    requireSessionAuth,
+    authorize,
+    requirePermission,
+    errorHandler,
+    validateRequest,
+    uploadAvatar,
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+
+const AVATAR_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (Number(process.env.AVATAR_MAX_SIZE_MB) || 5) * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ApiError(400, "Avatar must be a JPEG, PNG, WebP or GIF image"));
+    }
+    cb(null, true);
+  },
+}).single("avatar");
+
+// Single "avatar" file field kept in memory (it gets resized anyway), multer errors become ApiErrors
+const uploadAvatar = (req, res, next) => {
+  avatarUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return next(new ApiError(413, `Avatar must be smaller than ${Number(process.env.AVATAR_MAX_SIZE_MB) || 5} MB`));
+      }
+      return next(new ApiError(400, `Invalid upload: ${error.message}`));
+    }
+    next(error);
+  });
+};
+
+export { uploadAvatar };
@@ -31,7 +31,7 @@ const validateRequest = (schema, source = "body") => (req, res, next) => {
   } catch (error) {
     if (error instanceof ZodError) {
       const errorMessages =
-        error.errors?.map((e) => e.message).join(", ") || "Invalid request data";
+        (error.issues || error.errors)?.map((e) => e.message).join(", ") || "Invalid request data";
       return next(new ApiError(400, errorMessages, error));
     }
 
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // First characters of the key, shown in listings so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // sha256 of the full key, the key itself is only shown once at creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scope: {
+      type: String,
+      enum: ["read", "read-write"],
+      default: "read",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export const ApiKeyModel = mongoose.model("ApiKeys", apiKeySchema);
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+export const AUDIT_EVENT_TYPES = [
+  "signup",
+  "login",
+  "login-failed",
+  "account-locked",
+  "account-unlocked",
+  "token-refreshed",
+  "refresh-token-reused",
+  "revoked-session-used",
+  "logout",
+  "session-revoked",
+  "password-changed",
+  "password-reset",
+  "email-change-requested",
+  "email-changed",
+  "two-factor-enabled",
+  "two-factor-disabled",
+  "identity-linked",
+  "identity-unlinked",
+  "profile-updated",
+  "role-changed",
+  "account-warned",
+  "account-suspended",
+  "account-banned",
+  "sanction-lifted",
+  "api-key-created",
+  "api-key-revoked",
+  "account-deletion-requested",
+  "account-deletion-cancelled",
+];
+
+// Security-relevant things that happened to an account. Append-only: written through
+// recordAuditEvent and never edited or removed, so the history can be trusted.
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Null for failed logins against an email that has no account
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      default: null,
+    },
+    // Who caused it when that isn't the user, e.g. an admin changing roles or impersonating
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: AUDIT_EVENT_TYPES,
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ userId: 1, createdAt: -1 });
+auditEventSchema.index({ type: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+const refuseChange = function (next) {
+  next(new Error("Audit events are append-only"));
+};
+
+auditEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  refuseChange
+);
+
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+export const AuditEventModel = mongoose.model("AuditEvents", auditEventSchema);
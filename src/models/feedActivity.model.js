@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+export const FEED_ACTIVITY_TYPES = ["skill-offered", "trade-completed", "review-received"];
+
+// Something a member did that their followers see in GET /feed. Only references are kept,
+// so deleted skills and hidden reviews drop out of the feed when it's read.
+const feedActivitySchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: FEED_ACTIVITY_TYPES,
+      required: true,
+    },
+    skill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Skills",
+      default: null,
+    },
+    trade: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TradeRequests",
+      default: null,
+    },
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Reviews",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Feed pages are read newest first, with _id breaking ties for the cursor
+feedActivitySchema.index({ actor: 1, createdAt: -1, _id: -1 });
+
+export const FeedActivityModel = mongoose.model("FeedActivities", feedActivitySchema);
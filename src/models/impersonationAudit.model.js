@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Append-only record of everything an admin did while acting as another user
+const impersonationAuditSchema = new mongoose.Schema(
+  {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["start", "request"],
+      default: "request",
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+    reason: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+impersonationAuditSchema.index({ adminId: 1, createdAt: -1 });
+impersonationAuditSchema.index({ userId: 1, createdAt: -1 });
+
+export const ImpersonationAuditModel = mongoose.model("ImpersonationAudits", impersonationAuditSchema);
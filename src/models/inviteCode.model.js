@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// A signup code handed out by an admin (for a whole cohort) or a user (for friends)
+const inviteCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    // e.g. the cohort this code was made for
+    label: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    maxUses: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    // Null means the code never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+inviteCodeSchema.virtual("remainingUses").get(function () {
+  return Math.max(this.maxUses - this.uses, 0);
+});
+
+inviteCodeSchema.set("toJSON", { virtuals: true });
+
+export const InviteCodeModel = mongoose.model("InviteCodes", inviteCodeSchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Failed login counters, keyed by "account:<email>" or "ip:<address>"
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Counters are forgotten once nobody has failed against the key for a while
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginAttemptModel = mongoose.model("LoginAttempts", loginAttemptSchema);
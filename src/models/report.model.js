@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+export const REPORT_TARGET_TYPES = ["user", "review", "message"];
+export const REPORT_REASONS = ["spam", "harassment", "inappropriate", "scam", "impersonation", "other"];
+export const REPORT_STATUSES = ["open", "actioned", "dismissed"];
+export const MODERATION_ACTIONS = ["warn", "hide-review", "suspend-user"];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    // The reported user, review or message
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Whoever is responsible for the content, the user a sanction would apply to
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+    // Copy of the content at report time, so edits or deletion don't destroy the evidence
+    snapshot: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "open",
+    },
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS,
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+    },
+    resolvedAt: Date,
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// One open report per reporter and target, repeated clicks don't flood the queue
+reportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+export const ReportModel = mongoose.model("Reports", reportSchema);
@@ -34,6 +34,11 @@ const reviewSchema = new mongoose.Schema(
       ref: "Skills",
       required: true,
     },
+    // Hidden by a moderator, left out of listings and the reviewee's rating
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+export const SANCTION_KINDS = ["suspension", "ban"];
+
+// Every suspension (time-boxed) and ban (permanent) ever applied, including lifted ones.
+// The one in force is mirrored on User.sanction so auth checks don't need a second query.
+const sanctionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    kind: {
+      type: String,
+      enum: SANCTION_KINDS,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // End of a suspension, null for bans
+    until: {
+      type: Date,
+      default: null,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    // The report that led to it, if any
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Reports",
+      default: null,
+    },
+    liftedAt: {
+      type: Date,
+      default: null,
+    },
+    liftedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      default: null,
+    },
+    liftReason: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+sanctionSchema.index({ liftedAt: 1, createdAt: -1 });
+
+export const SanctionModel = mongoose.model("Sanctions", sanctionSchema);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// One session per login on a device. Every refresh token issued for a session
+// belongs to the same token family; only the latest one (tokenId) is accepted.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user-revoked", "password-changed", "email-changed", "reuse-detected", "sanctioned"],
+    },
+  },
+  { timestamps: true }
+);
+
+// Let Mongo clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SessionModel = mongoose.model("Sessions", sessionSchema);
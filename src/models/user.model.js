@@ -1,6 +1,10 @@
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken"
 import bcrypt from "bcrypt"
+import crypto from "crypto"
+import { ROLES, roleHasPermission } from "../constants/permissions.js"
+import { PRIVACY_AUDIENCES, PRIVACY_DEFAULTS } from "../constants/privacy.js";
+import { FLUENCY_LEVELS, TEACHING_FORMATS } from "../constants/languages.js";
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -20,6 +24,11 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: [true, "password is required"],
     },
+    // False for OIDC sign-ups, whose password is random until they set one through forgot-password
+    passwordSet: {
+        type: Boolean,
+        default: true,
+    },
     profileImage: {
         type: String,
         default: "",
@@ -28,6 +37,11 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false,
     },
+    // New address waiting for verification before it replaces `email`
+    pendingEmail: {
+        type: String,
+        default: "",
+    },
     bio: {
         type: String,
         default: "",
@@ -39,31 +53,157 @@ const userSchema = new mongoose.Schema({
     profession: {
         type: String
     },
-    role: { type: String, enum: ["user", "admin"], default: "user" },
-    lastLogin: Date,
-    refreshToken: {
-        type: String,
-        default: "",
+    // ISO 639 codes, see constants/languages.js
+    languages: [
+        {
+            _id: false,
+            code: { type: String, required: true, lowercase: true },
+            fluency: { type: String, enum: FLUENCY_LEVELS, default: "conversational" },
+        },
+    ],
+    teachingFormats: {
+        type: [{ type: String, enum: Object.values(TEACHING_FORMATS) }],
+        default: [],
     },
+    role: { type: String, enum: Object.values(ROLES), default: ROLES.USER },
+    lastLogin: Date,
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    // sha256 of the id of the one magic link that may still be used
+    magicLinkTokenId: { type: String, select: false },
     socialLinks: {
         github: { type: String, default: "" },
         linkedin: { type: String, default: "" },
         twitter: { type: String, default: "" },
         portfolio: { type: String, default: "" },
     },
+    // Accounts at external OpenID Connect providers that can be used to sign in
+    identities: [
+        {
+            _id: false,
+            provider: { type: String, required: true },
+            subject: { type: String, required: true },
+            email: { type: String, default: "" },
+            linkedAt: { type: Date, default: Date.now },
+        },
+    ],
+    // Uploaded avatar renditions (profileImage holds the medium one), keys are for cleanup
+    avatar: {
+        urls: {
+            small: { type: String, default: "" },
+            medium: { type: String, default: "" },
+            large: { type: String, default: "" },
+        },
+        keys: { type: [String], default: [] },
+    },
+    // Moderator warnings, from reports that were actioned
+    warnings: [
+        {
+            _id: false,
+            reason: { type: String, default: "" },
+            report: { type: mongoose.Schema.Types.ObjectId, ref: "Reports" },
+            issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+            issuedAt: { type: Date, default: Date.now },
+        },
+    ],
+    // Suspension or ban currently in force, see getActiveSanction()
+    sanction: {
+        kind: { type: String, enum: ["suspension", "ban"] },
+        reason: { type: String },
+        until: { type: Date },
+        sanctionId: { type: mongoose.Schema.Types.ObjectId, ref: "Sanctions" },
+    },
+    // Weekly hours the user is free for sessions, as local "HH:MM" times in `timezone`.
+    // An exception replaces one date's slots (no slots means unavailable that day).
+    availability: {
+        timezone: { type: String, default: "UTC" },
+        slots: [
+            {
+                _id: false,
+                day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+                start: { type: String, required: true },
+                end: { type: String, required: true },
+            },
+        ],
+        exceptions: [
+            {
+                _id: false,
+                date: { type: String, required: true }, // YYYY-MM-DD in `timezone`
+                slots: [
+                    {
+                        _id: false,
+                        start: { type: String, required: true },
+                        end: { type: String, required: true },
+                    },
+                ],
+            },
+        ],
+        // The weekly slots as UTC minute-of-week ranges (0 = Sunday 00:00 UTC), kept in sync by
+        // updateAvailability so discovery can match overlapping schedules in the database
+        weeklyUtc: {
+            type: [{ _id: false, start: Number, end: Number }],
+            select: false,
+        },
+    },
+    // Who can see these fields on the public profile, see constants/privacy.js
+    privacy: {
+        email: { type: String, enum: Object.values(PRIVACY_AUDIENCES), default: PRIVACY_DEFAULTS.email },
+        city: { type: String, enum: Object.values(PRIVACY_AUDIENCES), default: PRIVACY_DEFAULTS.city },
+        socialLinks: { type: String, enum: Object.values(PRIVACY_AUDIENCES), default: PRIVACY_DEFAULTS.socialLinks },
+        age: { type: String, enum: Object.values(PRIVACY_AUDIENCES), default: PRIVACY_DEFAULTS.age },
+    },
+    // Who invited this user and with which code, kept to build referral trees
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Users",
+        default: null,
+        index: true,
+    },
+    inviteCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InviteCodes",
+        default: null,
+    },
+    // Set while a deletion request is in its grace period
+    deletionScheduledFor: {
+        type: Date,
+        default: null,
+    },
+    // Set once the account has been anonymised
+    deletedAt: {
+        type: Date,
+        default: null,
+    },
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        // Secret handed out at enrollment, promoted to `secret` once a first code is confirmed
+        pendingSecret: { type: String, select: false },
+        // sha256 hashes, each code works once
+        recoveryCodes: { type: [String], select: false },
+        // Last accepted TOTP time step, so a code can't be replayed
+        lastUsedStep: { type: Number, select: false },
+    },
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
     toObject: { virtuals: true },
     transform: function (doc, ret) {
         delete ret.password;
-        delete ret.refreshToken;
+        delete ret.passwordResetToken;
+        delete ret.passwordResetExpires;
         delete ret.__v;
 
         return ret;
     }
 });
 
+// One local account per provider identity
+userSchema.index(
+    { "identities.provider": 1, "identities.subject": 1 },
+    { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
 userSchema.pre("save", async function (next) {
     if (!this.isModified("password")) return next();
 
@@ -75,17 +215,39 @@ userSchema.methods.isPasswordCorrect = async function (password) {
     return await bcrypt.compare(password, this.password)
 };
 
+// Null once a suspension has run out, so expired ones never need cleaning up to stop applying
+userSchema.methods.getActiveSanction = function () {
+    const { sanction } = this;
+    if (!sanction?.kind) return null;
+    if (sanction.kind === "suspension" && !(sanction.until > new Date())) return null;
+    return sanction;
+};
+
+userSchema.methods.hasPermission = function (permission) {
+    return roleHasPermission(this.role, permission);
+};
+
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
-    delete user.refreshToken;
+    delete user.passwordResetToken;
+    delete user.passwordResetExpires;
+    delete user.magicLinkTokenId;
+    if (user.twoFactor) {
+        user.twoFactor = { enabled: user.twoFactor.enabled };
+    }
+    // Storage keys are an implementation detail
+    if (user.avatar) {
+        user.avatar = { urls: user.avatar.urls };
+    }
     return user;
 };
 
-userSchema.methods.generateAccessToken = async function () {
+userSchema.methods.generateAccessToken = async function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -93,10 +255,28 @@ userSchema.methods.generateAccessToken = async function () {
         }
     )
 };
-userSchema.methods.generateRefreshToken = async function () {
+// Access token for `this` user that an admin acts with. It rides on the admin's own
+// session, so it dies when the admin logs out, and carries `imp` so it can be told apart.
+userSchema.methods.generateImpersonationToken = function (adminId, adminSessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: adminSessionId,
+            imp: adminId,
+        },
+        process.env.ACCESS_TOKEN_SECRET,
+        {
+            expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRY || "15m"
+        }
+    )
+};
+
+userSchema.methods.generateRefreshToken = async function (sessionId, tokenId) {
+    return jwt.sign(
+        {
+            _id: this._id,
+            sid: sessionId,
+            jti: tokenId,
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -105,4 +285,74 @@ userSchema.methods.generateRefreshToken = async function () {
     )
 };
 
+userSchema.methods.generateEmailVerificationToken = function (email = this.email) {
+    return jwt.sign(
+        {
+            _id: this._id,
+            email,
+            purpose: "email-verification",
+        },
+        process.env.EMAIL_VERIFICATION_SECRET,
+        {
+            expiresIn: process.env.EMAIL_VERIFICATION_EXPIRY || "1d"
+        }
+    )
+};
+
+userSchema.methods.generateAccountUnlockToken = function () {
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "account-unlock",
+        },
+        process.env.ACCOUNT_UNLOCK_SECRET,
+        {
+            expiresIn: process.env.ACCOUNT_UNLOCK_EXPIRY || "1h"
+        }
+    )
+};
+
+userSchema.methods.generateTwoFactorChallengeToken = function () {
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "2fa-challenge",
+        },
+        process.env.TWO_FACTOR_CHALLENGE_SECRET,
+        {
+            expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m"
+        }
+    )
+};
+
+// Issuing a new link invalidates the previous one, the caller must save the user
+userSchema.methods.generateMagicLinkToken = function () {
+    const tokenId = crypto.randomUUID();
+    this.magicLinkTokenId = crypto.createHash("sha256").update(tokenId).digest("hex");
+
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "magic-link",
+            jti: tokenId,
+        },
+        process.env.MAGIC_LINK_SECRET,
+        {
+            expiresIn: process.env.MAGIC_LINK_EXPIRY || "15m"
+        }
+    )
+};
+
+// Only the sha256 of the reset token is stored, the raw token goes out by email
+userSchema.methods.generatePasswordResetToken = function () {
+    const resetToken = crypto.randomBytes(32).toString("hex");
+
+    this.passwordResetToken = crypto.createHash("sha256").update(resetToken).digest("hex");
+    this.passwordResetExpires = new Date(
+        Date.now() + (Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 30) * 60 * 1000
+    );
+
+    return resetToken;
+};
+
 export const User = mongoose.model("Users", userSchema);
\ No newline at end of file
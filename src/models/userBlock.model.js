@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// "block" cuts all contact both ways (trades, chat, discovery, notifications),
+// "mute" only silences notifications from that user. One entry per pair and direction.
+const userBlockSchema = new mongoose.Schema(
+  {
+    blocker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    blocked: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["block", "mute"],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+userBlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+export const UserBlockModel = mongoose.model("UserBlocks", userBlockSchema);
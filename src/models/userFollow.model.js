@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// "follow" puts the user's activity in the follower's feed and counts towards their followers,
+// "favourite" is a private bookmark list. A pair can have both, one entry of each per direction.
+const userFollowSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["follow", "favourite"],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+userFollowSchema.index({ follower: 1, type: 1, following: 1 }, { unique: true });
+userFollowSchema.index({ following: 1, type: 1, createdAt: -1 });
+
+export const UserFollowModel = mongoose.model("UserFollows", userFollowSchema);
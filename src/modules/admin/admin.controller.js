@@ -0,0 +1,467 @@
+import { ApiError, ApiResponse, asyncHandler } from "../../utils/index.js";
+import { User } from "../../models/user.model.js";
+import { ImpersonationAuditModel } from "../../models/impersonationAudit.model.js";
+import { AuditEventModel } from "../../models/auditEvent.model.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import { recordAuditEvent } from "../../services/audit.service.js";
+import { ReportModel } from "../../models/report.model.js";
+import { ReviewModel } from "../../models/review.model.js";
+import { MessageModel } from "../../models/chat.model.js";
+import { hideReview, warnUser } from "../../services/moderation.service.js";
+import { applySanction, liftSanction } from "../../services/sanction.service.js";
+import { SanctionModel } from "../../models/sanction.model.js";
+import { sendNotificationToUser, NOTIFICATION_EVENTS } from "../../services/socket.service.js";
+import mongoose from "mongoose";
+
+// Malformed ids would otherwise reach findById and come back as a CastError (a 500)
+const assertValidId = (id, label = "user") => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, `Invalid ${label} id`);
+    }
+};
+
+// ===== IMPERSONATION =====
+
+// POST /admin/impersonate/:userId
+// Returns a short-lived access token for the user. It is not set as a cookie so the admin's
+// own session stays intact; the client sends it as a Bearer token while acting as the user.
+export const startImpersonation = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    assertValidId(userId);
+
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot impersonate yourself");
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+        throw new ApiError(404, "User not found");
+    }
+
+    // Acting as another admin would be a way around their own permissions
+    if (user.hasPermission(PERMISSIONS.USERS_IMPERSONATE)) {
+        throw new ApiError(403, "Admins cannot be impersonated");
+    }
+
+    const accessToken = user.generateImpersonationToken(req.user._id, req.sessionId);
+
+    await ImpersonationAuditModel.create({
+        adminId: req.user._id,
+        userId: user._id,
+        action: "start",
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: 201,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+        reason: req.body.reason,
+    });
+
+    console.log(`🕵️ Admin ${req.user._id} started impersonating user ${user._id}`);
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            {
+                accessToken,
+                expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRY || "15m",
+                user: user.toJSON(),
+            },
+            `Impersonating ${user.name}`
+        )
+    );
+});
+
+// GET /admin/impersonation-audit?adminId=&userId=&page=&limit=
+export const getImpersonationAudit = asyncHandler(async (req, res) => {
+    const { adminId, userId, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (adminId) filter.adminId = adminId;
+    if (userId) filter.userId = userId;
+
+    const pageNumber = Math.max(parseInt(page), 1);
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 200);
+
+    const [entries, totalCount] = await Promise.all([
+        ImpersonationAuditModel.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .populate("adminId", "name email")
+            .populate("userId", "name email"),
+        ImpersonationAuditModel.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                entries,
+                pagination: {
+                    page: pageNumber,
+                    limit: pageSize,
+                    totalPages: Math.ceil(totalCount / pageSize),
+                    totalEntries: totalCount,
+                },
+            },
+            "Impersonation audit retrieved successfully"
+        )
+    );
+});
+
+// ===== SECURITY AUDIT =====
+
+// GET /admin/audit-events?userId=&type=&from=&to=&page=&limit=
+export const getAuditEvents = asyncHandler(async (req, res) => {
+    const { userId, type, from, to, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (type) filter.type = type;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        // A bare date means the whole day
+        if (to) filter.createdAt.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to);
+    }
+
+    const pageNumber = Math.max(parseInt(page), 1);
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 200);
+
+    const [events, totalCount] = await Promise.all([
+        AuditEventModel.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .populate("userId", "name email")
+            .populate("actorId", "name email"),
+        AuditEventModel.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                events,
+                pagination: {
+                    page: pageNumber,
+                    limit: pageSize,
+                    totalPages: Math.ceil(totalCount / pageSize),
+                    totalEvents: totalCount,
+                },
+            },
+            "Audit events retrieved successfully"
+        )
+    );
+});
+
+// ===== ROLES =====
+
+// PATCH /admin/users/:userId/role
+export const changeUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+    assertValidId(userId);
+
+    // Keeps the last admin from locking everyone out by accident
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot change your own role");
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (user.role === role) {
+        throw new ApiError(400, `User already has the ${role} role`);
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    recordAuditEvent("role-changed", {
+        userId: user._id,
+        actorId: req.user._id,
+        req,
+        metadata: { from: previousRole, to: role },
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { user: user.toJSON() }, "Role updated successfully")
+    );
+});
+
+// ===== MODERATION =====
+
+// GET /admin/reports?status=open&targetType=&targetUser=&page=&limit= - oldest first, it's a queue
+export const getReportQueue = asyncHandler(async (req, res) => {
+    const { status = "open", targetType, targetUser, page = 1, limit = 50 } = req.query;
+
+    const filter = { status };
+    if (targetType) filter.targetType = targetType;
+    if (targetUser) filter.targetUser = targetUser;
+
+    const pageNumber = Math.max(parseInt(page), 1);
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 200);
+
+    const [reports, totalCount] = await Promise.all([
+        ReportModel.find(filter)
+            .sort({ createdAt: status === "open" ? 1 : -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .populate("reporter", "name email")
+            .populate("targetUser", "name email sanction"),
+        ReportModel.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                reports,
+                pagination: {
+                    page: pageNumber,
+                    limit: pageSize,
+                    totalPages: Math.ceil(totalCount / pageSize),
+                    totalReports: totalCount,
+                },
+            },
+            "Reports retrieved successfully"
+        )
+    );
+});
+
+// GET /admin/reports/:id - the report with the current state of its target and the user's history
+export const getReport = asyncHandler(async (req, res) => {
+    assertValidId(req.params.id, "report");
+
+    const report = await ReportModel.findById(req.params.id)
+        .populate("reporter", "name email")
+        .populate("targetUser", "name email warnings sanction")
+        .populate("resolvedBy", "name email");
+
+    if (!report) {
+        throw new ApiError(404, "Report not found");
+    }
+
+    const targetModels = { user: User, review: ReviewModel, message: MessageModel };
+    const [currentTarget, previousReports] = await Promise.all([
+        targetModels[report.targetType].findById(report.targetId).select("-password"),
+        ReportModel.countDocuments({ targetUser: report.targetUser, _id: { $ne: report._id } }),
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, { report, currentTarget, previousReports }, "Report retrieved successfully")
+    );
+});
+
+// PATCH /admin/reports/:id - action or dismiss. Other open reports about the same
+// target are closed with it, and every reporter is told the outcome.
+export const resolveReport = asyncHandler(async (req, res) => {
+    const { status, action, note = "", suspendDays } = req.body;
+
+    assertValidId(req.params.id, "report");
+
+    const report = await ReportModel.findById(req.params.id);
+    if (!report) {
+        throw new ApiError(404, "Report not found");
+    }
+    if (report.status !== "open") {
+        throw new ApiError(400, "This report has already been resolved");
+    }
+
+    if (action === "hide-review" && report.targetType !== "review") {
+        throw new ApiError(400, "Only reported reviews can be hidden");
+    }
+    if (action === "hide-review" && !req.user.hasPermission(PERMISSIONS.REVIEWS_MODERATE)) {
+        throw new ApiError(403, "You are not allowed to hide reviews");
+    }
+    if (action === "suspend-user" && !req.user.hasPermission(PERMISSIONS.USERS_BAN)) {
+        throw new ApiError(403, "You are not allowed to suspend users");
+    }
+
+    const resolution = {
+        status,
+        action,
+        resolutionNote: note,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date(),
+    };
+
+    // Claiming the report in one update keeps two moderators from acting on it twice
+    const claimed = await ReportModel.findOneAndUpdate(
+        { _id: report._id, status: "open" },
+        resolution,
+        { new: true }
+    );
+    if (!claimed) {
+        throw new ApiError(409, "This report was just resolved by someone else");
+    }
+
+    try {
+        const reason = note || `Reported for ${report.reason}`;
+        if (action === "warn") {
+            await warnUser(report.targetUser, { reason, reportId: report._id, issuedBy: req.user._id, req });
+        } else if (action === "hide-review") {
+            await hideReview(report.targetId);
+        } else if (action === "suspend-user") {
+            await applySanction(report.targetUser, {
+                kind: "suspension",
+                days: suspendDays,
+                reason,
+                issuedBy: req.user._id,
+                reportId: report._id,
+                req,
+            });
+        }
+    } catch (error) {
+        // Back into the queue so the action can be retried
+        await ReportModel.updateOne(
+            { _id: report._id },
+            { status: "open", $unset: { action: 1, resolvedBy: 1, resolvedAt: 1 }, resolutionNote: "" }
+        );
+        throw error;
+    }
+
+    const duplicates = await ReportModel.find({
+        targetType: report.targetType,
+        targetId: report.targetId,
+        status: "open",
+    }).select("_id reporter");
+
+    if (duplicates.length > 0) {
+        await ReportModel.updateMany({ _id: { $in: duplicates.map((duplicate) => duplicate._id) } }, resolution);
+    }
+
+    // Reporters only learn whether something was done, not what
+    for (const { _id, reporter } of [claimed, ...duplicates]) {
+        sendNotificationToUser(reporter, NOTIFICATION_EVENTS.REPORT_RESOLVED, {
+            reportId: _id,
+            targetType: report.targetType,
+            status,
+        });
+    }
+
+    console.log(`🛡️ Report ${report._id} ${status}${action ? ` (${action})` : ""} by ${req.user._id}`);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { report: claimed, alsoResolved: duplicates.length },
+            status === "actioned" ? "Report actioned" : "Report dismissed"
+        )
+    );
+});
+
+// ===== SANCTIONS =====
+
+// POST /admin/users/:userId/sanctions - suspend for `days` or ban outright
+export const sanctionUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { kind, reason, days } = req.body;
+    assertValidId(userId);
+
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot sanction yourself");
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const sanction = await applySanction(user._id, { kind, reason, days, issuedBy: req.user._id, req });
+
+    return res.status(201).json(
+        new ApiResponse(201, { sanction }, kind === "ban" ? "User banned" : "User suspended")
+    );
+});
+
+// POST /admin/users/:userId/sanctions/lift
+export const liftUserSanction = asyncHandler(async (req, res) => {
+    assertValidId(req.params.userId);
+
+    const sanction = await liftSanction(req.params.userId, {
+        liftedBy: req.user._id,
+        reason: req.body.reason,
+        req,
+    });
+
+    if (!sanction) {
+        throw new ApiError(404, "This user has no active suspension or ban");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { sanction }, "Sanction lifted")
+    );
+});
+
+// GET /admin/sanctions?active=true&kind=&userId=&page=&limit=
+export const getSanctions = asyncHandler(async (req, res) => {
+    const { active, kind, userId, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (kind) filter.kind = kind;
+    if (userId) filter.userId = userId;
+
+    // Expired suspensions are never lifted explicitly, so "active" also looks at `until`
+    const inForce = { liftedAt: null, $or: [{ until: null }, { until: { $gt: new Date() } }] };
+    if (active === "true") Object.assign(filter, inForce);
+    if (active === "false") filter.$nor = [inForce];
+
+    const pageNumber = Math.max(parseInt(page), 1);
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 200);
+
+    const [sanctions, totalCount] = await Promise.all([
+        SanctionModel.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .populate("userId", "name email")
+            .populate("issuedBy", "name email")
+            .populate("liftedBy", "name email"),
+        SanctionModel.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                sanctions,
+                pagination: {
+                    page: pageNumber,
+                    limit: pageSize,
+                    totalPages: Math.ceil(totalCount / pageSize),
+                    totalSanctions: totalCount,
+                },
+            },
+            "Sanctions retrieved successfully"
+        )
+    );
+});
+
+// GET /admin/users/:userId/sanctions - full history, newest first
+export const getUserSanctions = asyncHandler(async (req, res) => {
+    assertValidId(req.params.userId);
+
+    const user = await User.findById(req.params.userId).select("name email sanction");
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const sanctions = await SanctionModel.find({ userId: user._id })
+        .sort({ createdAt: -1 })
+        .populate("issuedBy", "name email")
+        .populate("liftedBy", "name email");
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { user, active: user.getActiveSanction(), sanctions },
+            "Sanction history retrieved successfully"
+        )
+    );
+});
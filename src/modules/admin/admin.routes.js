@@ -0,0 +1,156 @@
+import { Router } from "express";
+import {
+    changeUserRole,
+    getAuditEvents,
+    getImpersonationAudit,
+    getReport,
+    getReportQueue,
+    getSanctions,
+    getUserSanctions,
+    liftUserSanction,
+    resolveReport,
+    sanctionUser,
+    startImpersonation,
+} from "./admin.controller.js";
+import { requirePermission, requireSessionAuth, verifyJwt } from "../../middlewares/auth.middleware.js";
+import { validateRequest } from "../../middlewares/validate.middleware.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import {
+    auditEventQuerySchema,
+    changeRoleSchema,
+    impersonationAuditQuerySchema,
+    liftSanctionSchema,
+    sanctionQuerySchema,
+    sanctionUserSchema,
+    startImpersonationSchema,
+} from "./admin.validator.js";
+import { reportQueueQuerySchema, resolveReportSchema } from "../report/report.validator.js";
+
+const router = Router();
+
+// Every admin route needs the admin's own login, never an API key or an impersonation token
+router.use(verifyJwt, requireSessionAuth);
+
+/**
+ * @route   POST /api/v1/admin/impersonate/:userId
+ * @desc    Get a short-lived token to act as a user, with a reason (every request made with it is audited)
+ * @access  Private (users:impersonate)
+ */
+router.post(
+    "/impersonate/:userId",
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    validateRequest(startImpersonationSchema),
+    startImpersonation
+);
+
+/**
+ * @route   GET /api/v1/admin/impersonation-audit
+ * @desc    List impersonation sessions and the requests made during them
+ * @access  Private (users:impersonate)
+ */
+router.get(
+    "/impersonation-audit",
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    validateRequest(impersonationAuditQuerySchema, "query"),
+    getImpersonationAudit
+);
+
+/**
+ * @route   GET /api/v1/admin/audit-events
+ * @desc    Query the security audit log, filtered by user, event type and date range
+ * @access  Private (audit:read-all)
+ */
+router.get(
+    "/audit-events",
+    requirePermission(PERMISSIONS.AUDIT_READ_ALL),
+    validateRequest(auditEventQuerySchema, "query"),
+    getAuditEvents
+);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/role
+ * @desc    Change a user's role
+ * @access  Private (users:manage-roles)
+ */
+router.patch(
+    "/users/:userId/role",
+    requirePermission(PERMISSIONS.USERS_MANAGE_ROLES),
+    validateRequest(changeRoleSchema),
+    changeUserRole
+);
+
+/**
+ * @route   GET /api/v1/admin/reports
+ * @desc    Moderation queue, open reports oldest first (filter by status, target type or user)
+ * @access  Private (reports:moderate)
+ */
+router.get(
+    "/reports",
+    requirePermission(PERMISSIONS.REPORTS_MODERATE),
+    validateRequest(reportQueueQuerySchema, "query"),
+    getReportQueue
+);
+
+/**
+ * @route   GET /api/v1/admin/reports/:id
+ * @desc    A report with its target and the reported user's history
+ * @access  Private (reports:moderate)
+ */
+router.get("/reports/:id", requirePermission(PERMISSIONS.REPORTS_MODERATE), getReport);
+
+/**
+ * @route   PATCH /api/v1/admin/reports/:id
+ * @desc    Action (warn, hide review, suspend user) or dismiss a report
+ * @access  Private (reports:moderate)
+ */
+router.patch(
+    "/reports/:id",
+    requirePermission(PERMISSIONS.REPORTS_MODERATE),
+    validateRequest(resolveReportSchema),
+    resolveReport
+);
+
+/**
+ * @route   GET /api/v1/admin/sanctions
+ * @desc    List suspensions and bans (filter by active, kind or user)
+ * @access  Private (users:ban)
+ */
+router.get(
+    "/sanctions",
+    requirePermission(PERMISSIONS.USERS_BAN),
+    validateRequest(sanctionQuerySchema, "query"),
+    getSanctions
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/sanctions
+ * @desc    A user's sanction history and the one currently in force
+ * @access  Private (users:ban)
+ */
+router.get("/users/:userId/sanctions", requirePermission(PERMISSIONS.USERS_BAN), getUserSanctions);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/sanctions
+ * @desc    Suspend a user for a number of days or ban them; ends their sessions and open trades
+ * @access  Private (users:ban)
+ */
+router.post(
+    "/users/:userId/sanctions",
+    requirePermission(PERMISSIONS.USERS_BAN),
+    validateRequest(sanctionUserSchema),
+    sanctionUser
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/sanctions/lift
+ * @desc    End a suspension or ban early
+ * @access  Private (users:ban)
+ */
+router.post(
+    "/users/:userId/sanctions/lift",
+    requirePermission(PERMISSIONS.USERS_BAN),
+    validateRequest(liftSanctionSchema),
+    liftUserSanction
+);
+
+export default router;
@@ -0,0 +1,75 @@
+import { z } from "zod";
+import { ROLES } from "../../constants/permissions.js";
+import { AUDIT_EVENT_TYPES } from "../../models/auditEvent.model.js";
+import { SANCTION_KINDS } from "../../models/sanction.model.js";
+
+const objectIdSchema = z.string().regex(/^[a-f\d]{24}$/i, "Must be a valid id");
+
+export const startImpersonationSchema = z.object({
+  // Required so every impersonation in the audit log says why it happened
+  reason: z
+    .string()
+    .trim()
+    .min(3, "Please give a reason for impersonating this user")
+    .max(300, "Reason must be at most 300 characters"),
+});
+
+export const impersonationAuditQuerySchema = z.object({
+  adminId: objectIdSchema.optional(),
+  userId: objectIdSchema.optional(),
+  page: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+  limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+});
+
+export const auditEventQuerySchema = z
+  .object({
+    userId: objectIdSchema.optional(),
+    type: z.enum(AUDIT_EVENT_TYPES).optional(),
+    from: z.iso.datetime({ offset: true }).or(z.iso.date()).optional(),
+    to: z.iso.datetime({ offset: true }).or(z.iso.date()).optional(),
+    page: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+    limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+  })
+  .refine((query) => !query.from || !query.to || new Date(query.from) <= new Date(query.to), {
+    message: "from must be before to",
+    path: ["to"],
+  });
+
+export const changeRoleSchema = z.object({
+  role: z.enum(Object.values(ROLES)),
+});
+
+const sanctionReasonSchema = z
+  .string()
+  .trim()
+  .min(3, "Please give a reason")
+  .max(500, "Reason must be at most 500 characters");
+
+export const sanctionUserSchema = z
+  .object({
+    kind: z.enum(SANCTION_KINDS),
+    reason: sanctionReasonSchema,
+    // Only for suspensions, bans have no end date
+    days: z.number().int().min(1).max(365).optional(),
+  })
+  .refine((body) => body.kind !== "suspension" || body.days, {
+    message: "days is required for a suspension",
+    path: ["days"],
+  })
+  .refine((body) => body.kind !== "ban" || !body.days, {
+    message: "A ban is permanent and takes no days",
+    path: ["days"],
+  });
+
+// Required for the same reason as on impersonation: the audit log should say why
+export const liftSanctionSchema = z.object({
+  reason: sanctionReasonSchema,
+});
+
+export const sanctionQuerySchema = z.object({
+  active: z.enum(["true", "false"]).optional(),
+  kind: z.enum(SANCTION_KINDS).optional(),
+  userId: objectIdSchema.optional(),
+  page: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+  limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+});
@@ -4,6 +4,11 @@ import { SkillModel } from "../../models/skill.model.js";
 import { User } from "../../models/user.model.js";
 import AIService from "../../services/ai.service.js";
 import CustomAIService from "../../services/customAI.service.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import { RELATIONSHIPS } from "../../constants/privacy.js";
+import { applyPrivacy, getTradePartnerIds } from "../../services/profile.service.js";
+import { getBlockedUserIds, getHiddenUserIds, isBlockedBetween } from "../../services/block.service.js";
+import { evaluateProfileCompleteness } from "../../services/profileCompleteness.service.js";
 
 // Initialize custom AI service
 const customAI = new CustomAIService();
@@ -25,6 +30,10 @@ export const getSkillMatchScore = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Your skill profile not found");
     }
 
+    if (await isBlockedBetween(user._id, userId)) {
+        throw new ApiError(404, "User skill profile not found");
+    }
+
     // Get other user's skill profile
     const otherUserProfile = await SkillProfileModel.findOne({ userId })
         .populate("offeredSkills")
@@ -80,9 +89,9 @@ export const getRecommendedUsers = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Your skill profile not found");
     }
 
-    // Get all other users with their profiles
+    // Get all other users with their profiles (minus anyone blocked either way)
     const otherUsers = await SkillProfileModel.find({
-        userId: { $ne: user._id }
+        userId: { $nin: await getHiddenUserIds(user._id) }
     })
         .populate("offeredSkills")
         .populate("requiredSkills")
@@ -95,10 +104,15 @@ export const getRecommendedUsers = asyncHandler(async (req, res) => {
         );
     }
 
+    // Contact details follow each user's privacy settings, like on their public profile
+    const tradePartnerIds = await getTradePartnerIds(user._id);
+
     // Rank users using AI
     const rankedUsers = [];
 
     for (const otherUser of otherUsers) {
+        const { score: profileCompleteness } = evaluateProfileCompleteness(otherUser.userId, otherUser);
+
         const skillMatch = await AIService.calculateBidirectionalMatch(
             {
                 offered: currentUserProfile.offeredSkills,
@@ -114,7 +128,9 @@ export const getRecommendedUsers = asyncHandler(async (req, res) => {
             {
                 offeredSkills: currentUserProfile.offeredSkills,
                 requiredSkills: currentUserProfile.requiredSkills,
-                address: user.address
+                address: user.address,
+                languages: user.languages,
+                teachingFormats: user.teachingFormats
             },
             {
                 offeredSkills: otherUser.offeredSkills,
@@ -122,20 +138,27 @@ export const getRecommendedUsers = asyncHandler(async (req, res) => {
                 rating: otherUser.rating,
                 totalExchanges: otherUser.totalExchanges,
                 metrics: otherUser.metrics,
-                user: otherUser.userId
+                user: otherUser.userId,
+                profileCompleteness
             }
         );
 
+        const visibleUser = applyPrivacy(
+            otherUser.userId,
+            tradePartnerIds.has(otherUser.userId._id.toString()) ? RELATIONSHIPS.TRADE_PARTNER : RELATIONSHIPS.STRANGER
+        );
+
         rankedUsers.push({
             user: {
                 id: otherUser.userId._id,
-                name: otherUser.userId.name,
-                email: otherUser.userId.email,
-                profession: otherUser.userId.profession,
-                profileImage: otherUser.userId.profileImage,
-                bio: otherUser.userId.bio,
-                address: otherUser.userId.address,
-                socialLinks: otherUser.userId.socialLinks
+                name: visibleUser.name,
+                profession: visibleUser.profession,
+                profileImage: visibleUser.profileImage,
+                bio: visibleUser.bio,
+                address: visibleUser.address,
+                socialLinks: visibleUser.socialLinks,
+                languages: visibleUser.languages,
+                teachingFormats: visibleUser.teachingFormats
             },
             skillProfile: {
                 rating: otherUser.rating,
@@ -144,6 +167,7 @@ export const getRecommendedUsers = asyncHandler(async (req, res) => {
                 requiredSkills: otherUser.requiredSkills
             },
             aiScore: score,
+            profileCompleteness,
             matchPercentage: skillMatch.matchPercentage,
             canTeach: skillMatch.canTeach,
             canLearn: skillMatch.canLearn,
@@ -241,28 +265,11 @@ export const analyzeProfile = asyncHandler(async (req, res) => {
         socialLinks: user.socialLinks
     });
 
-    // Calculate profile completeness
-    const completeness = {
-        bio: user.bio ? 15 : 0,
-        profileImage: user.profileImage ? 15 : 0,
-        address: user.address?.city && user.address?.country ? 10 : 0,
-        profession: user.profession ? 10 : 0,
-        socialLinks: Object.values(user.socialLinks || {}).filter(link => link).length * 5,
-        offeredSkills: Math.min(userProfile.offeredSkills.length * 5, 25),
-        requiredSkills: Math.min(userProfile.requiredSkills.length * 5, 20)
-    };
-
-    const totalCompleteness = Object.values(completeness).reduce((sum, val) => sum + val, 0);
+    // Same scoring as GET /user/profile-completeness and the recommendation ranking
+    const { score: totalCompleteness, checklist } = evaluateProfileCompleteness(user, userProfile);
 
-    // Generate suggestions
-    const suggestions = [];
-    if (completeness.bio === 0) suggestions.push("Add a bio to tell others about yourself");
-    if (completeness.profileImage === 0) suggestions.push("Upload a profile picture");
-    if (completeness.address === 0) suggestions.push("Add your location to find local skill traders");
-    if (completeness.profession === 0) suggestions.push("Specify your profession");
-    if (completeness.socialLinks < 10) suggestions.push("Add more social links (GitHub, LinkedIn, etc.)");
-    if (completeness.offeredSkills < 15) suggestions.push("Add more skills you can teach");
-    if (completeness.requiredSkills < 10) suggestions.push("Add more skills you want to learn");
+    const completeness = Object.fromEntries(checklist.map(item => [item.key, item.points]));
+    const suggestions = checklist.filter(item => !item.done).map(item => item.step);
 
     return res.status(200).json(
         new ApiResponse(
@@ -307,7 +314,8 @@ export const findTeachersForSkill = asyncHandler(async (req, res) => {
 
     // Find skill profiles with these skills
     const profiles = await SkillProfileModel.find({
-        offeredSkills: { $in: skillIds }
+        offeredSkills: { $in: skillIds },
+        userId: { $nin: await getBlockedUserIds(req.user._id) }
     })
         .populate("offeredSkills")
         .populate("requiredSkills")
@@ -335,7 +343,7 @@ export const findTeachersForSkill = asyncHandler(async (req, res) => {
                     profession: profile.userId.profession,
                     profileImage: profile.userId.profileImage,
                     bio: profile.userId.bio,
-                    address: profile.userId.address
+                    address: applyPrivacy(profile.userId, RELATIONSHIPS.STRANGER).address
                 },
                 skill: {
                     name: matchingSkill.name,
@@ -378,7 +386,7 @@ export const getMutualMatches = asyncHandler(async (req, res) => {
 
     // Find users where there's mutual benefit
     const allProfiles = await SkillProfileModel.find({
-        userId: { $ne: user._id }
+        userId: { $nin: await getHiddenUserIds(user._id) }
     })
         .populate("offeredSkills")
         .populate("requiredSkills")
@@ -405,7 +413,7 @@ export const getMutualMatches = asyncHandler(async (req, res) => {
                     name: profile.userId.name,
                     profession: profile.userId.profession,
                     profileImage: profile.userId.profileImage,
-                    address: profile.userId.address
+                    address: applyPrivacy(profile.userId, RELATIONSHIPS.STRANGER).address
                 },
                 match,
                 rating: profile.rating,
@@ -448,11 +456,11 @@ export const getTopMatches = asyncHandler(async (req, res) => {
 
     // Find all other user profiles
     const allProfiles = await SkillProfileModel.find({
-        userId: { $ne: user._id }
+        userId: { $nin: await getHiddenUserIds(user._id) }
     })
         .populate("offeredSkills")
         .populate("requiredSkills")
-        .populate("userId", "name profession profileImage address bio rating totalExchanges metrics");
+        .populate("userId", "name profession profileImage address privacy bio rating totalExchanges metrics");
 
     const matches = [];
 
@@ -476,7 +484,7 @@ export const getTopMatches = asyncHandler(async (req, res) => {
                     name: profile.userId.name,
                     profession: profile.userId.profession,
                     profileImage: profile.userId.profileImage,
-                    address: profile.userId.address,
+                    address: applyPrivacy(profile.userId, RELATIONSHIPS.STRANGER).address,
                     bio: profile.userId.bio
                 },
                 match: {
@@ -648,8 +656,8 @@ export const getUserAnalytics = asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const { user } = req;
 
-    // Check if requesting own analytics or if admin (for now, allow own analytics only)
-    if (userId !== user._id.toString()) {
+    // Users can read their own analytics, admins can read anyone's
+    if (userId !== user._id.toString() && !user.hasPermission(PERMISSIONS.ANALYTICS_READ_ALL)) {
         throw new ApiError(403, "You can only view your own analytics");
     }
 
@@ -988,7 +996,7 @@ export const getCustomLearningPath = asyncHandler(async (req, res) => {
 
     // Find potential mentors/teachers
     const potentialMentors = await SkillProfileModel.find({
-        userId: { $ne: user._id },
+        userId: { $nin: await getHiddenUserIds(user._id) },
         offeredSkills: { 
             $elemMatch: { 
                 name: { $regex: new RegExp(targetSkill, 'i') },
@@ -1053,7 +1061,7 @@ export const getCustomAdvancedMatches = asyncHandler(async (req, res) => {
 
     // Get all other users
     const otherProfiles = await SkillProfileModel.find({
-        userId: { $ne: user._id }
+        userId: { $nin: await getHiddenUserIds(user._id) }
     })
         .populate("offeredSkills")
         .populate("requiredSkills")
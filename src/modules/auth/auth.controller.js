@@ -1,7 +1,47 @@
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import crypto from "crypto";
+import bcrypt from "bcrypt";
 import { User } from "../../models/index.js";
 import { ApiError, ApiResponse, asyncHandler } from "../../utils/index.js"
+import { buildOtpauthUri, generateSecret, verifyCode } from "../../utils/totp.js";
+import { getApiUrl, getClientUrl } from "../../utils/helpers.js";
 import { SkillProfileModel } from "../../models/skillProfile.model.js";
+import { SessionModel } from "../../models/session.model.js";
+import {
+    sendAccountLockedEmail,
+    sendMagicLinkEmail,
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+} from "../../services/mail.service.js";
+import {
+    clearAccountFailures,
+    getLoginBlock,
+    isAccountLocked,
+    recordLoginFailure,
+} from "../../services/loginGuard.service.js";
+import {
+    createSession,
+    getActiveSessions,
+    revokeSession,
+    revokeUserSessions,
+    rotateSession,
+} from "../../services/session.service.js";
+import {
+    buildAuthorizationUrl,
+    completeAuthorization,
+    createAuthRequest,
+    getProvider,
+    getProviders,
+} from "../../services/oidc.service.js";
+import { recordAuditEvent } from "../../services/audit.service.js";
+import { assertNotSanctioned } from "../../middlewares/auth.middleware.js";
+import {
+    findUsableInviteCode,
+    isInviteRequired,
+    redeemInviteCode,
+    releaseInviteCode,
+} from "../../services/invite.service.js";
 
 const isProduction = process.env.ENVIRONMENT === "production";
 console.log(isProduction)
@@ -13,15 +53,11 @@ const options = {
     path: "/",              // always good to add
 };
 
-const generateAccessAndRefreshToken = async function (userId) {
+// Every call starts a new session, so logging in on one device never logs out another
+const generateAccessAndRefreshToken = async function (userId, req) {
     try {
         const userInstance = await User.findById(userId);
-        const accessToken = await userInstance.generateAccessToken();
-        const refreshToken = await userInstance.generateRefreshToken();
-
-        userInstance.refreshToken = refreshToken;
-
-        await userInstance.save({ validateBeforeSave: false });
+        const { accessToken, refreshToken } = await createSession(userInstance, req);
 
         return { accessToken, refreshToken };
     } catch (error) {
@@ -44,11 +80,23 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 
     const user = await User.findById(decodedToken._id);
 
-    if (!user || user.refreshToken !== incomingRefreshToken) {
+    if (!user || !decodedToken.sid) {
         throw new ApiError(401, "token verification failed");
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
+    assertNotSanctioned(user);
+
+    const rotated = await rotateSession(user, decodedToken, req);
+
+    // An already-rotated token coming back means it was copied; the session is now revoked
+    if (!rotated) {
+        recordAuditEvent("refresh-token-reused", { userId: user._id, req, metadata: { sessionId: decodedToken.sid } });
+        throw new ApiError(401, "refresh token is no longer valid, please log in again");
+    }
+
+    const { accessToken, refreshToken } = rotated;
+
+    recordAuditEvent("token-refreshed", { userId: user._id, req, metadata: { sessionId: decodedToken.sid } });
 
     return res.status(200)
         .cookie("accessToken", accessToken, options)
@@ -65,22 +113,43 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 
 });
 
-const signup = asyncHandler(async (req, res) => {
-    const { email, name } = req.body;
+// Takes one use of the invite code. Returns null when no code was given and signups are open.
+const redeemSignupInvite = async (inviteCode) => {
+    if (!inviteCode) {
+        if (isInviteRequired()) {
+            throw new ApiError(403, "Sign-ups are invite-only, an invite code is required");
+        }
+        return null;
+    }
 
-    const existingUser = await User.findOne({ email }).lean();
-    if (existingUser) {
-        throw new ApiError(409, "User already exists with this email");
+    const invite = await redeemInviteCode(inviteCode);
+    if (!invite) {
+        throw new ApiError(400, "Invite code is invalid, expired or has no uses left");
     }
+    return invite;
+};
+
+// Shared by signup and OIDC sign-in so every new account gets the same defaults
+const createUserWithProfile = async (data, invite = null) => {
+    const { email, name } = data;
 
     // 🧩 Generate a default avatar using DiceBear (you can pick any style)
     const dicebearAvatar = `https://api.dicebear.com/9.x/adventurer/svg?seed=${encodeURIComponent(name || email.split("@")[0])}`;
 
     // 🆕 Create user with default avatar
-    const user = await User.create({
-        ...req.body,
-        profileImage: dicebearAvatar
-    });
+    let user;
+    try {
+        user = await User.create({
+            ...data,
+            profileImage: dicebearAvatar,
+            invitedBy: invite?.createdBy ?? null,
+            inviteCode: invite?._id ?? null,
+        });
+    } catch (error) {
+        // The account was never created, so the invite shouldn't lose a use
+        if (invite) await releaseInviteCode(invite._id);
+        throw error;
+    }
 
     user.lastLogin = new Date();
     await user.save();
@@ -89,7 +158,29 @@ const signup = asyncHandler(async (req, res) => {
         userId: user._id,
     });
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
+    return user;
+};
+
+const signup = asyncHandler(async (req, res) => {
+    const { inviteCode, ...data } = req.body;
+
+    const existingUser = await User.findOne({ email: data.email }).lean();
+    if (existingUser) {
+        throw new ApiError(409, "User already exists with this email");
+    }
+
+    const invite = await redeemSignupInvite(inviteCode);
+    const user = await createUserWithProfile(data, invite);
+
+    recordAuditEvent("signup", { userId: user._id, req, metadata: { method: "password", inviteCode: invite?.code } });
+
+    // The account is already created, so a failed email doesn't fail the signup
+    const sent = await sendVerificationEmail(user, user.generateEmailVerificationToken());
+    if (!sent) {
+        console.error(`Verification email to ${user.email} could not be sent at signup`);
+    }
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
 
     return res.status(201)
         .cookie("accessToken", accessToken, { ...options })
@@ -97,34 +188,50 @@ const signup = asyncHandler(async (req, res) => {
         .json(
             new ApiResponse(
                 201,
-                { user },
-                "Registered successfully"
+                { user, verificationEmailSent: sent },
+                sent
+                    ? "Registered successfully, please check your inbox to verify your email"
+                    : "Registered successfully, but the verification email could not be sent. Request a new one from /auth/resend-verification"
             )
         );
 });
 
-const login = asyncHandler(async (req, res) => {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-        throw new ApiError(400, "Email and password are required");
+// Refuse the attempt while the account or IP is being throttled
+const assertLoginAllowed = async (email, req, res) => {
+    const block = await getLoginBlock(email, req.ip);
+    if (block) {
+        res.set("Retry-After", String(block.retryAfterSeconds));
+        throw new ApiError(
+            429,
+            block.locked
+                ? "Too many failed login attempts, this account is temporarily locked. Check your email to unlock it"
+                : `Too many failed login attempts, please try again in ${block.retryAfterSeconds} seconds`
+        );
     }
+};
 
-    const user = await User.findOne({ email: email });
+const recordFailedLogin = async (email, user, req, reason = "invalid-credentials") => {
+    recordAuditEvent("login-failed", { userId: user?._id, req, metadata: { email, reason } });
 
-    if (!user) {
-        throw new ApiError(404, "User not found with specified Email");
+    const accountLocked = await recordLoginFailure(email, req.ip);
+    if (accountLocked && user) {
+        recordAuditEvent("account-locked", { userId: user._id, req });
+        // Not awaited, unknown emails get locked too and must not answer any faster
+        sendAccountLockedEmail(user, user.generateAccountUnlockToken())
+            .catch((error) => console.error("Error sending account locked email:", error));
     }
+};
 
-    const doesPasswordMatch = await user.isPasswordCorrect(password);
-    if (!doesPasswordMatch) {
-        throw new ApiError(401, "Invalid password");
-    }
+// Every factor has been checked: start the session and set the cookies
+const issueLoginSession = async (user, req, res, method = "password") => {
+    assertNotSanctioned(user);
 
     user.lastLogin = new Date();
     await user.save();
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
+
+    recordAuditEvent("login", { userId: user._id, req, metadata: { method } });
 
     return res
         .status(200)
@@ -133,21 +240,116 @@ const login = asyncHandler(async (req, res) => {
         .json(
             new ApiResponse(200, { user }, "Logged in successfully")
         );
+};
+
+// The first factor is done, accounts with 2FA get a challenge instead of cookies
+const continueLogin = async (user, req, res, method = "password") => {
+    // No point asking for a 2FA code when the login would be refused anyway
+    assertNotSanctioned(user);
+
+    if (user.twoFactor?.enabled) {
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                {
+                    twoFactorRequired: true,
+                    challengeToken: user.generateTwoFactorChallengeToken(),
+                },
+                "Two-factor authentication code required"
+            )
+        );
+    }
+
+    return issueLoginSession(user, req, res, method);
+};
+
+// Compared against when the email is unknown, so that path costs a bcrypt round like a real account
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+const login = asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+        throw new ApiError(400, "Email and password are required");
+    }
+
+    await assertLoginAllowed(email, req, res);
+
+    const user = await User.findOne({ email: email });
+    const doesPasswordMatch = user
+        ? await user.isPasswordCorrect(password)
+        : await bcrypt.compare(password, DUMMY_PASSWORD_HASH).then(() => false);
+
+    // Same error for unknown emails and wrong passwords so accounts can't be enumerated
+    if (!doesPasswordMatch) {
+        await recordFailedLogin(email, user, req);
+        throw new ApiError(401, "Invalid email or password");
+    }
+
+    await clearAccountFailures(email);
+
+    return continueLogin(user, req, res);
 });
 
-const logOut = asyncHandler(async (req, res) => {
-    const user = await User.findByIdAndUpdate(
-        req?.user?.id,
+const requestMagicLink = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Same response either way so this endpoint can't be used to probe for accounts.
+    // Not awaited, otherwise the time it takes to send the email would give the account away.
+    if (user) {
+        const token = user.generateMagicLinkToken();
+        user.save({ validateBeforeSave: false })
+            .then(() => sendMagicLinkEmail(user, token))
+            .catch((error) => console.error("Error sending magic link:", error));
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {},
+            "If an account exists for that email, a login link has been sent"
+        )
+    );
+});
+
+const verifyMagicLink = asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(token, process.env.MAGIC_LINK_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Login link is invalid or has expired");
+    }
+
+    if (decodedToken.purpose !== "magic-link" || !decodedToken.jti) {
+        throw new ApiError(401, "Login link is invalid or has expired");
+    }
+
+    // Clearing the stored id in the same query makes the link single-use, even under concurrent clicks
+    const user = await User.findOneAndUpdate(
         {
-            $unset: { refreshToken: 1 },
+            _id: decodedToken._id,
+            magicLinkTokenId: crypto.createHash("sha256").update(decodedToken.jti).digest("hex"),
         },
+        // Receiving the link proves the user controls the address
+        { $unset: { magicLinkTokenId: 1 }, $set: { isVerified: true } },
         { new: true }
     );
 
     if (!user) {
-        throw new ApiError(404, "user not found")
+        throw new ApiError(401, "Login link is invalid or has expired");
     }
 
+    return continueLogin(user, req, res, "magic-link");
+});
+
+const logOut = asyncHandler(async (req, res) => {
+    await revokeSession(req.sessionId, "logout");
+    recordAuditEvent("logout", { userId: req.user._id, req, metadata: { sessionId: req.sessionId } });
+
     return res.status(200).clearCookie("accessToken", options).clearCookie("refreshToken", options).json(
         new ApiResponse(
             200,
@@ -169,10 +371,755 @@ const me = asyncHandler(async (req, res) => {
     );
 });
 
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(token, process.env.EMAIL_VERIFICATION_SECRET);
+    } catch (error) {
+        throw new ApiError(400, "Verification link is invalid or has expired");
+    }
+
+    if (decodedToken.purpose !== "email-verification") {
+        throw new ApiError(400, "Verification link is invalid or has expired");
+    }
+
+    const user = await User.findById(decodedToken._id);
+
+    // The token is bound to the address it was sent to, so an old link stops working once the email changes
+    if (!user || ![user.email, user.pendingEmail].includes(decodedToken.email)) {
+        throw new ApiError(400, "Verification link is invalid or has expired");
+    }
+
+    if (decodedToken.email === user.pendingEmail) {
+        // Someone may have registered the address while the change was pending
+        const emailTaken = await User.exists({ email: decodedToken.email, _id: { $ne: user._id } });
+        if (emailTaken) {
+            throw new ApiError(409, "This email is already in use by another account");
+        }
+
+        const previousEmail = user.email;
+        user.email = user.pendingEmail;
+        user.pendingEmail = "";
+        user.isVerified = true;
+        await user.save({ validateBeforeSave: false });
+
+        recordAuditEvent("email-changed", { userId: user._id, req, metadata: { from: previousEmail, to: user.email } });
+    } else if (!user.isVerified) {
+        user.isVerified = true;
+        await user.save({ validateBeforeSave: false });
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { user },
+            "Email verified successfully"
+        )
+    );
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    const { user } = req;
+
+    if (user.isVerified) {
+        throw new ApiError(400, "Email is already verified");
+    }
+
+    const sent = await sendVerificationEmail(user, user.generateEmailVerificationToken());
+    if (!sent) {
+        throw new ApiError(500, "Failed to send verification email");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {},
+            "Verification email sent"
+        )
+    );
+});
+
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Same response either way so this endpoint can't be used to probe for accounts,
+    // and not awaited so the response time doesn't give the account away either
+    if (user) {
+        const resetToken = user.generatePasswordResetToken();
+        user.save({ validateBeforeSave: false })
+            .then(() => sendPasswordResetEmail(user, resetToken))
+            .catch((error) => console.error("Error sending password reset email:", error));
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {},
+            "If an account exists for that email, a reset link has been sent"
+        )
+    );
+});
+
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+
+    const user = await User.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+        throw new ApiError(400, "Reset token is invalid or has expired");
+    }
+
+    user.password = password;
+    user.passwordSet = true;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Log out every session
+    await revokeUserSessions(user._id, "password-changed");
+    recordAuditEvent("password-reset", { userId: user._id, req });
+
+    return res.status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Password reset successfully, please log in with your new password"
+            )
+        );
+});
+
+const changePassword = asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+        throw new ApiError(404, "user not found");
+    }
+
+    const doesPasswordMatch = await user.isPasswordCorrect(currentPassword);
+    if (!doesPasswordMatch) {
+        throw new ApiError(401, "Current password is incorrect");
+    }
+
+    if (currentPassword === newPassword) {
+        throw new ApiError(400, "New password must be different from the current password");
+    }
+
+    // Going through save() so the pre("save") hook hashes the new password
+    user.password = newPassword;
+    await user.save();
+
+    // Log out every device, then start a fresh session for this one
+    await revokeUserSessions(user._id, "password-changed");
+    recordAuditEvent("password-changed", { userId: user._id, req });
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
+
+    return res.status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Password changed successfully"
+            )
+        );
+});
+
+const changeEmail = asyncHandler(async (req, res) => {
+    const { currentPassword, newEmail } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+        throw new ApiError(404, "user not found");
+    }
+
+    const doesPasswordMatch = await user.isPasswordCorrect(currentPassword);
+    if (!doesPasswordMatch) {
+        throw new ApiError(401, "Current password is incorrect");
+    }
+
+    if (newEmail === user.email) {
+        throw new ApiError(400, "New email must be different from the current email");
+    }
+
+    const emailTaken = await User.exists({ email: newEmail });
+    if (emailTaken) {
+        throw new ApiError(409, "This email is already in use by another account");
+    }
+
+    // The current email stays active until the new one is verified
+    user.pendingEmail = newEmail;
+    await user.save({ validateBeforeSave: false });
+
+    const sent = await sendVerificationEmail(user, user.generateEmailVerificationToken(newEmail), newEmail);
+    if (!sent) {
+        throw new ApiError(500, "Failed to send verification email");
+    }
+
+    await revokeUserSessions(user._id, "email-changed");
+    recordAuditEvent("email-change-requested", { userId: user._id, req, metadata: { from: user.email, to: newEmail } });
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
+
+    return res.status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(
+            new ApiResponse(
+                200,
+                { pendingEmail: newEmail },
+                "Verification email sent to the new address, your email will change once it is verified"
+            )
+        );
+});
+
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await getActiveSessions(req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                sessions: sessions.map((session) => ({
+                    ...session.toObject(),
+                    current: session._id.toString() === req.sessionId,
+                })),
+            },
+            "Sessions fetched successfully"
+        )
+    );
+});
+
+const deleteSession = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid session id");
+    }
+
+    const session = await SessionModel.findOne({ _id: id, userId: req.user._id, revokedAt: null });
+    if (!session) {
+        throw new ApiError(404, "Session not found");
+    }
+
+    await revokeSession(session._id, "user-revoked");
+    recordAuditEvent("session-revoked", { userId: req.user._id, req, metadata: { sessionId: session._id, device: session.device } });
+
+    const isCurrent = session._id.toString() === req.sessionId;
+    if (isCurrent) {
+        res.clearCookie("accessToken", options).clearCookie("refreshToken", options);
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {},
+            isCurrent ? "Current session revoked, you have been logged out" : "Session revoked successfully"
+        )
+    );
+});
+
+const unlockAccount = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(token, process.env.ACCOUNT_UNLOCK_SECRET);
+    } catch (error) {
+        throw new ApiError(400, "Unlock link is invalid or has expired");
+    }
+
+    if (decodedToken.purpose !== "account-unlock") {
+        throw new ApiError(400, "Unlock link is invalid or has expired");
+    }
+
+    const user = await User.findById(decodedToken._id);
+    if (!user) {
+        throw new ApiError(400, "Unlock link is invalid or has expired");
+    }
+
+    await clearAccountFailures(user.email);
+    recordAuditEvent("account-unlocked", { userId: user._id, req });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {},
+            "Account unlocked, you can log in again"
+        )
+    );
+});
+
+const requestAccountUnlock = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const [user, locked] = await Promise.all([
+        User.findOne({ email }),
+        isAccountLocked(email),
+    ]);
+
+    // Not awaited so the response time doesn't tell which emails are registered and locked
+    if (user && locked) {
+        sendAccountLockedEmail(user, user.generateAccountUnlockToken())
+            .catch((error) => console.error("Error sending account unlock email:", error));
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {},
+            "If that account is locked, an unlock link has been sent"
+        )
+    );
+});
+
+const hashRecoveryCode = (code) => {
+    return crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+};
+
+const generateRecoveryCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                secret,
+                otpauthUri: buildOtpauthUri(secret, user.email),
+            },
+            "Scan the code with your authenticator app, then confirm with a code"
+        )
+    );
+});
+
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+        throw new ApiError(400, "Start enrollment before confirming two-factor authentication");
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+        throw new ApiError(400, "Invalid two-factor code");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    recordAuditEvent("two-factor-enabled", { userId: user._id, req });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { recoveryCodes },
+            "Two-factor authentication enabled, store these recovery codes somewhere safe"
+        )
+    );
+});
+
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(challengeToken, process.env.TWO_FACTOR_CHALLENGE_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Login challenge expired, please log in again");
+    }
+
+    if (decodedToken.purpose !== "2fa-challenge") {
+        throw new ApiError(401, "Login challenge expired, please log in again");
+    }
+
+    const user = await User.findById(decodedToken._id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+        throw new ApiError(401, "Login challenge expired, please log in again");
+    }
+
+    // Codes are guessable, so they share the login throttling
+    await assertLoginAllowed(user.email, req, res);
+
+    // Codes are claimed in one conditional update, so two parallel requests with the same
+    // code (or recovery code) can't both get a session
+    let accepted = false;
+    if (code) {
+        const step = verifyCode(user.twoFactor.secret, code);
+        if (step !== null) {
+            const claimed = await User.updateOne(
+                {
+                    _id: user._id,
+                    $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": null }],
+                },
+                { $set: { "twoFactor.lastUsedStep": step } }
+            );
+            accepted = claimed.matchedCount > 0;
+        }
+    } else {
+        const hashed = hashRecoveryCode(recoveryCode);
+        const claimed = await User.findOneAndUpdate(
+            { _id: user._id, "twoFactor.recoveryCodes": hashed },
+            { $pull: { "twoFactor.recoveryCodes": hashed } }
+        );
+        accepted = !!claimed;
+    }
+
+    if (!accepted) {
+        await recordFailedLogin(user.email, user, req, "invalid-two-factor-code");
+        throw new ApiError(401, "Invalid two-factor code");
+    }
+
+    await clearAccountFailures(user.email);
+
+    return issueLoginSession(user, req, res, code ? "two-factor" : "recovery-code");
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    const doesPasswordMatch = await user.isPasswordCorrect(password);
+    if (!doesPasswordMatch) {
+        throw new ApiError(401, "Password is incorrect");
+    }
+
+    const step = verifyCode(user.twoFactor.secret, code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+        throw new ApiError(400, "Invalid two-factor code");
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    recordAuditEvent("two-factor-disabled", { userId: user._id, req });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {},
+            "Two-factor authentication disabled"
+        )
+    );
+});
+
+// ===== OIDC SIGN-IN =====
+
+const OIDC_STATE_COOKIE = "oidcState";
+
+// Lax so the cookie survives the top-level redirect back from the provider
+const oidcStateCookieOptions = {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: "lax",
+    path: "/api/v1/auth/oidc",
+};
+
+const oidcRedirectUri = (provider) => `${getApiUrl()}/auth/oidc/${provider.name}/callback`;
+
+const isEmailVerifiedClaim = (claims) => claims.email_verified === true || claims.email_verified === "true";
+
+const redirectToProvider = async (req, res, mode) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+        throw new ApiError(404, "Unknown sign-in provider");
+    }
+
+    // New accounts created through the provider need the invite code too, it rides along in the state cookie
+    const inviteCode = mode === "login" && typeof req.query.inviteCode === "string" ? req.query.inviteCode.trim() : undefined;
+    if (inviteCode && !(await findUsableInviteCode(inviteCode))) {
+        throw new ApiError(400, "Invite code is invalid, expired or has no uses left");
+    }
+
+    const { state, nonce, codeVerifier, codeChallenge } = createAuthRequest();
+
+    const flowToken = jwt.sign(
+        {
+            provider: provider.name,
+            mode,
+            userId: mode === "link" ? req.user._id : undefined,
+            inviteCode,
+            state,
+            nonce,
+            codeVerifier,
+        },
+        process.env.OIDC_STATE_SECRET,
+        { expiresIn: "10m" }
+    );
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, {
+        state,
+        nonce,
+        codeChallenge,
+        redirectUri: oidcRedirectUri(provider),
+    });
+
+    return res
+        .cookie(OIDC_STATE_COOKIE, flowToken, { ...oidcStateCookieOptions, maxAge: 10 * 60 * 1000 })
+        .redirect(authorizationUrl);
+};
+
+// Sign in with the provider identity, linking or creating the local account on first use
+const findOrCreateOidcUser = async (providerName, claims, req, inviteCode) => {
+    const existingIdentity = await User.findOne({
+        identities: { $elemMatch: { provider: providerName, subject: claims.sub } },
+    });
+    if (existingIdentity) return existingIdentity;
+
+    if (!claims.email) {
+        throw new ApiError(400, "The provider did not share an email address");
+    }
+
+    const identity = { provider: providerName, subject: claims.sub, email: claims.email };
+
+    const existingUser = await User.findOne({ email: claims.email });
+    if (existingUser) {
+        // Without the provider vouching for the address, anyone could take over an account by email
+        if (!isEmailVerifiedClaim(claims)) {
+            throw new ApiError(409, "An account with this email already exists, log in and link the provider from your settings");
+        }
+
+        existingUser.identities.push(identity);
+        await existingUser.save({ validateBeforeSave: false });
+
+        recordAuditEvent("identity-linked", { userId: existingUser._id, req, metadata: { provider: providerName } });
+        return existingUser;
+    }
+
+    const invite = await redeemSignupInvite(inviteCode);
+
+    // The random password is never shown, users can set one through forgot-password
+    const user = await createUserWithProfile({
+        name: claims.name || claims.email.split("@")[0],
+        email: claims.email,
+        password: crypto.randomBytes(32).toString("hex"),
+        passwordSet: false,
+        isVerified: isEmailVerifiedClaim(claims),
+        identities: [identity],
+    }, invite);
+
+    recordAuditEvent("signup", {
+        userId: user._id,
+        req,
+        metadata: { method: "oidc", provider: providerName, inviteCode: invite?.code },
+    });
+
+    if (claims.picture) {
+        user.profileImage = claims.picture;
+        await user.save({ validateBeforeSave: false });
+    }
+
+    return user;
+};
+
+const getOidcProviders = asyncHandler(async (req, res) => {
+    const providers = getProviders().map((provider) => ({
+        name: provider.name,
+        loginUrl: `${getApiUrl()}/auth/oidc/${provider.name}`,
+    }));
+
+    return res.status(200).json(
+        new ApiResponse(200, { providers }, "Sign-in providers fetched successfully")
+    );
+});
+
+const startOidcLogin = asyncHandler(async (req, res) => {
+    return redirectToProvider(req, res, "login");
+});
+
+const startOidcLink = asyncHandler(async (req, res) => {
+    return redirectToProvider(req, res, "link");
+});
+
+// The browser lands here from the provider, so results are redirects to the frontend rather than JSON
+const oidcCallback = asyncHandler(async (req, res) => {
+    const clientUrl = getClientUrl();
+    const { code, state, error } = req.query;
+
+    res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions);
+
+    const fail = (message, path = "/login") => {
+        return res.redirect(`${clientUrl}${path}?error=${encodeURIComponent(message)}`);
+    };
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+        return fail("Unknown sign-in provider");
+    }
+
+    if (error) {
+        return fail(`Sign-in with ${provider.name} was cancelled`);
+    }
+
+    let flow;
+    try {
+        flow = jwt.verify(req.cookies?.[OIDC_STATE_COOKIE] || "", process.env.OIDC_STATE_SECRET);
+    } catch (err) {
+        return fail("Sign-in session expired, please try again");
+    }
+
+    if (flow.provider !== provider.name || !state || flow.state !== state || !code) {
+        return fail("Sign-in session expired, please try again");
+    }
+
+    let claims;
+    try {
+        claims = await completeAuthorization(provider, {
+            code,
+            codeVerifier: flow.codeVerifier,
+            nonce: flow.nonce,
+            redirectUri: oidcRedirectUri(provider),
+        });
+    } catch (err) {
+        console.error(`OIDC ${provider.name} callback error:`, err);
+        return fail(`Could not sign in with ${provider.name}`);
+    }
+
+    if (flow.mode === "link") {
+        const linkedElsewhere = await User.exists({
+            _id: { $ne: flow.userId },
+            identities: { $elemMatch: { provider: provider.name, subject: claims.sub } },
+        });
+        if (linkedElsewhere) {
+            return fail(`This ${provider.name} account is already linked to another user`, "/settings");
+        }
+
+        const user = await User.findById(flow.userId);
+        if (!user) {
+            return fail("user not found", "/settings");
+        }
+
+        user.identities = user.identities.filter((identity) => identity.provider !== provider.name);
+        user.identities.push({ provider: provider.name, subject: claims.sub, email: claims.email || "" });
+        await user.save({ validateBeforeSave: false });
+
+        recordAuditEvent("identity-linked", { userId: user._id, req, metadata: { provider: provider.name } });
+
+        return res.redirect(`${clientUrl}/settings?linked=${encodeURIComponent(provider.name)}`);
+    }
+
+    let user;
+    try {
+        user = await findOrCreateOidcUser(provider.name, claims, req, flow.inviteCode);
+    } catch (err) {
+        if (err instanceof ApiError) return fail(err.message);
+        throw err;
+    }
+
+    try {
+        assertNotSanctioned(user);
+    } catch (err) {
+        return fail(err.message);
+    }
+
+    if (user.twoFactor?.enabled) {
+        const challengeToken = user.generateTwoFactorChallengeToken();
+        return res.redirect(`${clientUrl}/login/2fa?challengeToken=${encodeURIComponent(challengeToken)}`);
+    }
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
+
+    recordAuditEvent("login", { userId: user._id, req, metadata: { method: "oidc", provider: provider.name } });
+
+    return res
+        .cookie("accessToken", accessToken, { ...options })
+        .cookie("refreshToken", refreshToken, { ...options })
+        .redirect(clientUrl);
+});
+
+const unlinkOidcProvider = asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+
+    const user = await User.findOneAndUpdate(
+        { _id: req.user._id, "identities.provider": provider },
+        { $pull: { identities: { provider } } },
+        { new: true }
+    );
+
+    if (!user) {
+        throw new ApiError(404, "This provider is not linked to your account");
+    }
+
+    recordAuditEvent("identity-unlinked", { userId: user._id, req, metadata: { provider } });
+
+    return res.status(200).json(
+        new ApiResponse(200, { user }, "Provider unlinked successfully")
+    );
+});
+
 export {
     refreshAccessToken,
     signup,
     login,
     logOut,
     me,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    changeEmail,
+    getSessions,
+    deleteSession,
+    unlockAccount,
+    requestAccountUnlock,
+    enrollTwoFactor,
+    confirmTwoFactor,
+    verifyTwoFactorLogin,
+    disableTwoFactor,
+    requestMagicLink,
+    verifyMagicLink,
+    getOidcProviders,
+    startOidcLogin,
+    startOidcLink,
+    oidcCallback,
+    unlinkOidcProvider,
 };
\ No newline at end of file
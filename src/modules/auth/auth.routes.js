@@ -1,7 +1,47 @@
 import { Router } from "express";
-import { validateRequest, verifyJwt } from "../../middlewares/index.js";
-import { login, logOut, me, refreshAccessToken, signup } from "./auth.controller.js";
-import { loginSchema, signupSchema } from "./auth.validator.js";
+import { requireSessionAuth, validateRequest, verifyJwt } from "../../middlewares/index.js";
+import {
+    changeEmail,
+    changePassword,
+    confirmTwoFactor,
+    deleteSession,
+    disableTwoFactor,
+    enrollTwoFactor,
+    forgotPassword,
+    getOidcProviders,
+    getSessions,
+    login,
+    logOut,
+    me,
+    oidcCallback,
+    refreshAccessToken,
+    requestAccountUnlock,
+    requestMagicLink,
+    resendVerificationEmail,
+    resetPassword,
+    signup,
+    startOidcLink,
+    startOidcLogin,
+    unlinkOidcProvider,
+    unlockAccount,
+    verifyEmail,
+    verifyMagicLink,
+    verifyTwoFactorLogin,
+} from "./auth.controller.js";
+import {
+    changeEmailSchema,
+    changePasswordSchema,
+    confirmTwoFactorSchema,
+    disableTwoFactorSchema,
+    forgotPasswordSchema,
+    loginSchema,
+    requestMagicLinkSchema,
+    requestUnlockSchema,
+    resetPasswordSchema,
+    signupSchema,
+    verifyMagicLinkSchema,
+    verifyTwoFactorSchema,
+} from "./auth.validator.js";
 
 const router = Router();
 
@@ -13,6 +53,50 @@ router.post("/signup", validateRequest(signupSchema), signup);
 
 router.post("/login", validateRequest(loginSchema), login);
 
-router.post("/logout", verifyJwt, logOut);
+router.post("/login/2fa", validateRequest(verifyTwoFactorSchema), verifyTwoFactorLogin);
+
+router.post("/magic-link", validateRequest(requestMagicLinkSchema), requestMagicLink);
+
+router.post("/magic-link/verify", validateRequest(verifyMagicLinkSchema), verifyMagicLink);
+
+router.post("/logout", verifyJwt, requireSessionAuth, logOut);
+
+router.get("/verify-email/:token", verifyEmail);
+
+router.post("/resend-verification", verifyJwt, resendVerificationEmail);
+
+router.post("/forgot-password", validateRequest(forgotPasswordSchema), forgotPassword);
+
+router.post("/reset-password", validateRequest(resetPasswordSchema), resetPassword);
+
+router.post("/change-password", verifyJwt, requireSessionAuth, validateRequest(changePasswordSchema), changePassword);
+
+router.post("/change-email", verifyJwt, requireSessionAuth, validateRequest(changeEmailSchema), changeEmail);
+
+router.post("/unlock", validateRequest(requestUnlockSchema), requestAccountUnlock);
+
+router.get("/unlock/:token", unlockAccount);
+
+router.post("/2fa/enroll", verifyJwt, requireSessionAuth, enrollTwoFactor);
+
+router.post("/2fa/confirm", verifyJwt, requireSessionAuth, validateRequest(confirmTwoFactorSchema), confirmTwoFactor);
+
+router.post("/2fa/disable", verifyJwt, requireSessionAuth, validateRequest(disableTwoFactorSchema), disableTwoFactor);
+
+router.get("/sessions", verifyJwt, requireSessionAuth, getSessions);
+
+router.delete("/sessions/:id", verifyJwt, requireSessionAuth, deleteSession);
+
+// OIDC sign-in and account linking (the start routes redirect to the provider)
+router.get("/oidc/providers", getOidcProviders);
+
+// ?inviteCode= is carried through to the callback for accounts created on first sign-in
+router.get("/oidc/:provider", startOidcLogin);
+
+router.get("/oidc/:provider/link", verifyJwt, requireSessionAuth, startOidcLink);
+
+router.get("/oidc/:provider/callback", oidcCallback);
+
+router.delete("/oidc/:provider", verifyJwt, requireSessionAuth, unlinkOidcProvider);
 
 export default router;
\ No newline at end of file
@@ -1,4 +1,10 @@
 import { z } from "zod";
+import { FLUENCY_LEVELS, TEACHING_FORMATS, isLanguageCode } from "../../constants/languages.js";
+
+const passwordSchema = z
+  .string({ required_error: "Password is required" })
+  .min(8, "Password must be at least 8 characters long")
+  .max(64, "Password too long");
 
 export const signupSchema = z.object({
   name: z
@@ -15,10 +21,7 @@ export const signupSchema = z.object({
     .string({ required_error: "Email is required" })
     .email("Invalid email format"),
 
-  password: z
-    .string({ required_error: "Password is required" })
-    .min(8, "Password must be at least 8 characters long")
-    .max(64, "Password too long"),
+  password: passwordSchema,
 
   profileImage: z
     .string()
@@ -28,6 +31,24 @@ export const signupSchema = z.object({
 
   profession: z.string().optional(),
 
+  languages: z
+    .array(
+      z.object({
+        code: z.string().trim().toLowerCase().refine(isLanguageCode, "Must be an ISO 639 language code, e.g. \"en\" or \"ur\""),
+        fluency: z.enum(FLUENCY_LEVELS).default("conversational"),
+      })
+    )
+    .max(10, "At most 10 languages")
+    .refine((languages) => new Set(languages.map((language) => language.code)).size === languages.length, {
+      message: "Each language can only be listed once",
+    })
+    .optional(),
+
+  teachingFormats: z
+    .array(z.enum(Object.values(TEACHING_FORMATS)))
+    .transform((formats) => [...new Set(formats)])
+    .optional(),
+
   bio: z
     .string()
     .max(250, "Bio cannot exceed 250 characters")
@@ -49,9 +70,73 @@ export const signupSchema = z.object({
       portfolio: z.string().url("Invalid portfolio URL").optional().or(z.literal("")),
     })
     .optional(),
+
+  // Mandatory when signups are invite-only (INVITE_ONLY=true)
+  inviteCode: z
+    .string()
+    .trim()
+    .max(32, "Invalid invite code")
+    .optional(),
 });
 
 export const loginSchema = z.object({
   email: z.email(),
   password: z.string().min(6),
-})
\ No newline at end of file
+})
+
+export const forgotPasswordSchema = z.object({
+  email: z.email("Invalid email format"),
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string({ required_error: "Reset token is required" }).min(1, "Reset token is required"),
+
+  password: passwordSchema,
+});
+
+export const changePasswordSchema = z.object({
+  currentPassword: z.string({ required_error: "Current password is required" }).min(1, "Current password is required"),
+
+  newPassword: passwordSchema,
+});
+
+export const changeEmailSchema = z.object({
+  currentPassword: z.string({ required_error: "Current password is required" }).min(1, "Current password is required"),
+
+  newEmail: z
+    .string({ required_error: "New email is required" })
+    .email("Invalid email format"),
+});
+
+export const requestUnlockSchema = z.object({
+  email: z.email("Invalid email format"),
+});
+
+const totpCodeSchema = z.string().regex(/^\d{6}$/, "Code must be 6 digits");
+
+export const confirmTwoFactorSchema = z.object({
+  code: totpCodeSchema,
+});
+
+export const verifyTwoFactorSchema = z
+  .object({
+    challengeToken: z.string({ required_error: "Challenge token is required" }).min(1, "Challenge token is required"),
+    code: totpCodeSchema.optional(),
+    recoveryCode: z.string().min(1).optional(),
+  })
+  .refine((data) => data.code || data.recoveryCode, {
+    message: "Either code or recoveryCode is required",
+  });
+
+export const disableTwoFactorSchema = z.object({
+  password: z.string({ required_error: "Password is required" }).min(1, "Password is required"),
+  code: totpCodeSchema,
+});
+
+export const requestMagicLinkSchema = z.object({
+  email: z.email("Invalid email format"),
+});
+
+export const verifyMagicLinkSchema = z.object({
+  token: z.string({ required_error: "Login token is required" }).min(1, "Login token is required"),
+});
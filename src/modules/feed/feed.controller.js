@@ -0,0 +1,19 @@
+import { ApiError, ApiResponse, asyncHandler } from "../../utils/index.js";
+import { decodeFeedCursor, getFeed } from "../../services/feed.service.js";
+
+// GET /feed?cursor=&limit= - newest first; pass nextCursor back as `cursor` for the next page
+export const getMyFeed = asyncHandler(async (req, res) => {
+    const { cursor, limit = 20 } = req.query;
+
+    const decodedCursor = cursor ? decodeFeedCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+        throw new ApiError(400, "Invalid cursor");
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 50);
+    const { items, nextCursor } = await getFeed(req.user._id, { cursor: decodedCursor, limit: pageSize });
+
+    return res.status(200).json(
+        new ApiResponse(200, { items, nextCursor, hasMore: !!nextCursor }, "Feed retrieved successfully")
+    );
+});
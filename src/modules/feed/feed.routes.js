@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { getMyFeed } from "./feed.controller.js";
+import { verifyJwt } from "../../middlewares/auth.middleware.js";
+import { validateRequest } from "../../middlewares/validate.middleware.js";
+import { feedQuerySchema } from "./feed.validator.js";
+
+const router = Router();
+
+/**
+ * @route   GET /api/v1/feed
+ * @desc    New offered skills, completed trades and received reviews of the members you follow (cursor paginated)
+ * @access  Private
+ */
+router.get("/", verifyJwt, validateRequest(feedQuerySchema, "query"), getMyFeed);
+
+export default router;
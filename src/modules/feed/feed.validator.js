@@ -0,0 +1,7 @@
+import { z } from "zod";
+
+export const feedQuerySchema = z.object({
+  // nextCursor from the previous page
+  cursor: z.string().regex(/^[A-Za-z0-9_-]+$/, "Invalid cursor").max(100, "Invalid cursor").optional(),
+  limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+});
@@ -0,0 +1,85 @@
+import { ApiError, ApiResponse, asyncHandler } from "../../utils/index.js";
+import { InviteCodeModel } from "../../models/inviteCode.model.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import { createInviteCode, findUsableInviteCode, isInviteRequired } from "../../services/invite.service.js";
+import mongoose from "mongoose";
+
+// What regular users may hand out, admins (invites:manage) can create cohort-sized codes
+const USER_INVITE_LIMITS = {
+    activeCodes: Number(process.env.INVITE_USER_MAX_CODES) || 5,
+    maxUses: Number(process.env.INVITE_USER_MAX_USES) || 5,
+    expiresInDays: 30,
+};
+
+// POST /invites
+export const createInvite = asyncHandler(async (req, res) => {
+    const { maxUses, expiresInDays, label } = req.body;
+    const isManager = req.user.hasPermission(PERMISSIONS.INVITES_MANAGE);
+
+    if (!isManager) {
+        if (maxUses > USER_INVITE_LIMITS.maxUses) {
+            throw new ApiError(400, `Invite codes can have at most ${USER_INVITE_LIMITS.maxUses} uses`);
+        }
+        if (!expiresInDays || expiresInDays > USER_INVITE_LIMITS.expiresInDays) {
+            throw new ApiError(400, `Invite codes must expire within ${USER_INVITE_LIMITS.expiresInDays} days`);
+        }
+
+        const activeCodes = await InviteCodeModel.countDocuments({
+            createdBy: req.user._id,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+            $expr: { $lt: ["$uses", "$maxUses"] },
+        });
+        if (activeCodes >= USER_INVITE_LIMITS.activeCodes) {
+            throw new ApiError(400, `You can have at most ${USER_INVITE_LIMITS.activeCodes} active invite codes`);
+        }
+    }
+
+    const invite = await createInviteCode(req.user._id, { maxUses, expiresInDays, label });
+
+    return res.status(201).json(new ApiResponse(201, { invite }, "Invite code created successfully"));
+});
+
+// GET /invites - the caller's own codes, newest first
+export const getMyInvites = asyncHandler(async (req, res) => {
+    const invites = await InviteCodeModel.find({ createdBy: req.user._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json(new ApiResponse(200, { invites }, "Invite codes retrieved successfully"));
+});
+
+// DELETE /invites/:id - owners revoke their codes, admins any code
+export const revokeInvite = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid invite id");
+    }
+
+    const filter = { _id: id, revokedAt: null };
+    if (!req.user.hasPermission(PERMISSIONS.INVITES_MANAGE)) {
+        filter.createdBy = req.user._id;
+    }
+
+    const invite = await InviteCodeModel.findOneAndUpdate(filter, { revokedAt: new Date() }, { new: true });
+    if (!invite) {
+        throw new ApiError(404, "Invite code not found");
+    }
+
+    return res.status(200).json(new ApiResponse(200, { invite }, "Invite code revoked successfully"));
+});
+
+// GET /invites/check/:code - public, lets the signup form validate a code before submitting
+export const checkInvite = asyncHandler(async (req, res) => {
+    const invite = await findUsableInviteCode(req.params.code);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                valid: !!invite,
+                inviteRequired: isInviteRequired(),
+            },
+            invite ? "Invite code is valid" : "Invite code is invalid, expired or has no uses left"
+        )
+    );
+});
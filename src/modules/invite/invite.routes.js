@@ -0,0 +1,37 @@
+import { Router } from "express";
+import { checkInvite, createInvite, getMyInvites, revokeInvite } from "./invite.controller.js";
+import { requireVerified, verifyJwt } from "../../middlewares/auth.middleware.js";
+import { validateRequest } from "../../middlewares/validate.middleware.js";
+import { createInviteSchema } from "./invite.validator.js";
+
+const router = Router();
+
+/**
+ * @route   GET /api/v1/invites/check/:code
+ * @desc    Check whether an invite code can still be used
+ * @access  Public
+ */
+router.get("/check/:code", checkInvite);
+
+/**
+ * @route   POST /api/v1/invites
+ * @desc    Create an invite code with a usage limit and expiry (verified accounts only)
+ * @access  Private
+ */
+router.post("/", verifyJwt, requireVerified, validateRequest(createInviteSchema), createInvite);
+
+/**
+ * @route   GET /api/v1/invites
+ * @desc    List the invite codes you created
+ * @access  Private
+ */
+router.get("/", verifyJwt, getMyInvites);
+
+/**
+ * @route   DELETE /api/v1/invites/:id
+ * @desc    Revoke an invite code
+ * @access  Private
+ */
+router.delete("/:id", verifyJwt, revokeInvite);
+
+export default router;
@@ -0,0 +1,23 @@
+import { z } from "zod";
+
+export const createInviteSchema = z.object({
+  maxUses: z
+    .number()
+    .int()
+    .min(1, "A code needs at least one use")
+    .max(1000, "A code can have at most 1000 uses"),
+
+  // Leave out for a code that never expires (admins only)
+  expiresInDays: z
+    .number()
+    .int()
+    .min(1, "Expiry must be at least 1 day")
+    .max(365, "Expiry can be at most 365 days")
+    .optional(),
+
+  label: z
+    .string()
+    .trim()
+    .max(100, "Label must be at most 100 characters")
+    .optional(),
+});
@@ -0,0 +1,90 @@
+import { ApiError, ApiResponse, asyncHandler } from "../../utils/index.js";
+import { ReportModel } from "../../models/report.model.js";
+import { User } from "../../models/user.model.js";
+import { ReviewModel } from "../../models/review.model.js";
+import { MessageModel } from "../../models/chat.model.js";
+
+// Resolves what is being reported to { targetUser, snapshot }, or throws when the
+// reporter can't see it (a message they weren't part of, for instance)
+const resolveTarget = async (targetType, targetId, reporterId) => {
+    if (targetType === "user") {
+        const user = await User.findById(targetId).select("name bio profession deletedAt");
+        if (!user || user.deletedAt) throw new ApiError(404, "User not found");
+        return {
+            targetUser: user._id,
+            snapshot: JSON.stringify({ name: user.name, bio: user.bio, profession: user.profession }),
+        };
+    }
+
+    if (targetType === "review") {
+        const review = await ReviewModel.findById(targetId).select("reviewer rating review hidden");
+        if (!review || review.hidden) throw new ApiError(404, "Review not found");
+        return {
+            targetUser: review.reviewer,
+            snapshot: JSON.stringify({ rating: review.rating, review: review.review }),
+        };
+    }
+
+    const message = await MessageModel.findById(targetId).select("sender receiver message");
+    if (!message || message.receiver.toString() !== reporterId.toString()) {
+        throw new ApiError(404, "Message not found");
+    }
+    return { targetUser: message.sender, snapshot: message.message };
+};
+
+// POST /reports
+export const createReport = asyncHandler(async (req, res) => {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const { targetUser, snapshot } = await resolveTarget(targetType, targetId, req.user._id);
+
+    if (targetUser.toString() === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot report yourself");
+    }
+
+    let report;
+    try {
+        report = await ReportModel.create({
+            reporter: req.user._id,
+            targetType,
+            targetId,
+            targetUser,
+            reason,
+            details,
+            snapshot,
+        });
+    } catch (error) {
+        if (error?.code === 11000) {
+            throw new ApiError(409, "You have already reported this, a moderator will look at it");
+        }
+        throw error;
+    }
+
+    console.log(`🚩 New ${targetType} report ${report._id} (${reason})`);
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            {
+                report: {
+                    _id: report._id,
+                    targetType: report.targetType,
+                    targetId: report.targetId,
+                    reason: report.reason,
+                    status: report.status,
+                    createdAt: report.createdAt,
+                },
+            },
+            "Thanks, your report has been sent to our moderators"
+        )
+    );
+});
+
+// GET /reports/mine - the reporter's own reports and how they were handled
+export const getMyReports = asyncHandler(async (req, res) => {
+    const reports = await ReportModel.find({ reporter: req.user._id })
+        .select("targetType targetId reason status action createdAt resolvedAt")
+        .sort({ createdAt: -1 });
+
+    return res.status(200).json(new ApiResponse(200, { reports }, "Reports retrieved successfully"));
+});
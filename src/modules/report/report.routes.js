@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { createReport, getMyReports } from "./report.controller.js";
+import { verifyJwt } from "../../middlewares/auth.middleware.js";
+import { validateRequest } from "../../middlewares/validate.middleware.js";
+import { createReportSchema } from "./report.validator.js";
+
+const router = Router();
+
+router.use(verifyJwt);
+
+/**
+ * @route   POST /api/v1/reports
+ * @desc    Report a user, review or chat message to the moderators
+ * @access  Private
+ */
+router.post("/", validateRequest(createReportSchema), createReport);
+
+/**
+ * @route   GET /api/v1/reports/mine
+ * @desc    List the reports you made and their outcome
+ * @access  Private
+ */
+router.get("/mine", getMyReports);
+
+export default router;
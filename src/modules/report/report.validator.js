@@ -0,0 +1,53 @@
+import { z } from "zod";
+import {
+  MODERATION_ACTIONS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_TARGET_TYPES,
+} from "../../models/report.model.js";
+
+const objectIdSchema = z.string().regex(/^[a-f\d]{24}$/i, "Must be a valid id");
+
+export const createReportSchema = z.object({
+  targetType: z.enum(REPORT_TARGET_TYPES),
+  targetId: objectIdSchema,
+  reason: z.enum(REPORT_REASONS),
+  details: z
+    .string()
+    .trim()
+    .max(1000, "Details must be at most 1000 characters")
+    .optional(),
+});
+
+export const reportQueueQuerySchema = z.object({
+  status: z.enum(REPORT_STATUSES).optional(),
+  targetType: z.enum(REPORT_TARGET_TYPES).optional(),
+  targetUser: objectIdSchema.optional(),
+  page: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+  limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+});
+
+export const resolveReportSchema = z
+  .object({
+    status: z.enum(["actioned", "dismissed"]),
+    action: z.enum(MODERATION_ACTIONS).optional(),
+    note: z
+      .string()
+      .trim()
+      .max(1000, "Note must be at most 1000 characters")
+      .optional(),
+    // Only for "suspend-user"
+    suspendDays: z.number().int().min(1).max(365).optional(),
+  })
+  .refine((body) => body.status !== "actioned" || body.action, {
+    message: "An action is required when actioning a report",
+    path: ["action"],
+  })
+  .refine((body) => body.status !== "dismissed" || !body.action, {
+    message: "Dismissed reports cannot have an action",
+    path: ["action"],
+  })
+  .refine((body) => body.action !== "suspend-user" || body.suspendDays, {
+    message: "suspendDays is required to suspend a user",
+    path: ["suspendDays"],
+  });
@@ -2,6 +2,12 @@ import { SkillModel } from "../../models/skill.model.js";
 import { SkillProfileModel } from "../../models/skillProfile.model.js";
 import { User } from "../../models/user.model.js";
 import { ApiResponse, asyncHandler, ApiError } from "../../utils/index.js";
+import { PRIVACY_AUDIENCES } from "../../constants/privacy.js";
+import { fluencyAtLeast } from "../../constants/languages.js";
+import { applyPrivacy, getRelationship } from "../../services/profile.service.js";
+import { getHiddenUserIds, isBlockedBetween } from "../../services/block.service.js";
+import { toWeeklyUtcRanges, weeklyOverlapMinutesExpression } from "../../services/availability.service.js";
+import { recordFeedActivity } from "../../services/feed.service.js";
 
 export const getMyOfferedSkills = asyncHandler(async (req, res) => {
     const { user } = req;
@@ -75,6 +81,8 @@ export const addOfferedSkill = asyncHandler(async (req, res) => {
     skillProfile.offeredSkills.push(skill._id);
     await skillProfile.save();
 
+    recordFeedActivity("skill-offered", { actor: user._id, skill: skill._id });
+
     return res.status(200).json(
         new ApiResponse(
             200,
@@ -191,17 +199,33 @@ export const getUsersForSkillTrading = asyncHandler(async (req, res) => {
         categories,
         country,
         city,
+        languages,
+        minFluency,
+        teachingFormats,
         minRating,
+        availableWithMe,
+        minOverlapMinutes = 60,
         sortBy = "rating",
         sortOrder = "desc",
         page = 1,
         limit = 10
     } = req.query;
 
+    const hiddenUserIds = await getHiddenUserIds(user._id);
+
     const skillProfileQuery = {
-        userId: { $ne: user._id } // exclude current user
+        userId: { $nin: hiddenUserIds } // exclude current user and blocks either way
     };
 
+    // Compared on the weekly slots stored as UTC ranges, so the filter runs in the pipeline below
+    let myWeeklyUtc = null;
+    if (availableWithMe === "true") {
+        myWeeklyUtc = toWeeklyUtcRanges(user.availability);
+        if (myWeeklyUtc.length === 0) {
+            throw new ApiError(400, "Set your weekly availability first to find members free at the same time");
+        }
+    }
+
     const pipeline = [
         { $match: skillProfileQuery },
         {
@@ -210,7 +234,7 @@ export const getUsersForSkillTrading = asyncHandler(async (req, res) => {
                 localField: "userId",
                 foreignField: "_id",
                 pipeline: [
-                    { $project: { name: 1, profileImage: 1, profession: 1, address: 1 } }
+                    { $project: { name: 1, profileImage: 1, profession: 1, address: 1, privacy: 1, languages: 1, teachingFormats: 1, "availability.weeklyUtc": 1 } }
                 ],
                 as: "userDetails"
             }
@@ -293,10 +317,39 @@ export const getUsersForSkillTrading = asyncHandler(async (req, res) => {
         });
     }
 
+    // Browsing treats everyone as a stranger, so hidden cities can't be found by filtering either
+    const cityHidden = {
+        $in: ["$userDetails.privacy.city", [PRIVACY_AUDIENCES.TRADE_PARTNERS, PRIVACY_AUDIENCES.NOBODY]]
+    };
+
     if (city) {
         pipeline.push({
             $match: {
-                "userDetails.address.city": { $regex: city, $options: "i" }
+                "userDetails.address.city": { $regex: city, $options: "i" },
+                "userDetails.privacy.city": { $nin: [PRIVACY_AUDIENCES.TRADE_PARTNERS, PRIVACY_AUDIENCES.NOBODY] }
+            }
+        });
+    }
+
+    if (languages) {
+        const languageCodes = languages.split(",").map(code => code.trim().toLowerCase());
+        pipeline.push({
+            $match: {
+                "userDetails.languages": {
+                    $elemMatch: {
+                        code: { $in: languageCodes },
+                        ...(minFluency && { fluency: { $in: fluencyAtLeast(minFluency) } })
+                    }
+                }
+            }
+        });
+    }
+
+    if (teachingFormats) {
+        const formatArray = teachingFormats.split(",").map(format => format.trim());
+        pipeline.push({
+            $match: {
+                "userDetails.teachingFormats": { $in: formatArray }
             }
         });
     }
@@ -309,6 +362,19 @@ export const getUsersForSkillTrading = asyncHandler(async (req, res) => {
         });
     }
 
+    if (myWeeklyUtc) {
+        pipeline.push({
+            $match: {
+                $expr: {
+                    $gte: [
+                        weeklyOverlapMinutesExpression(myWeeklyUtc, "userDetails.availability.weeklyUtc"),
+                        Math.max(parseInt(minOverlapMinutes), 1)
+                    ]
+                }
+            }
+        });
+    }
+
     // --- Projection ---
     pipeline.push({
         $project: {
@@ -321,7 +387,15 @@ export const getUsersForSkillTrading = asyncHandler(async (req, res) => {
                 name: "$userDetails.name",
                 profileImage: "$userDetails.profileImage",
                 profession: "$userDetails.profession",
-                address: "$userDetails.address"
+                languages: "$userDetails.languages",
+                teachingFormats: "$userDetails.teachingFormats",
+                address: {
+                    $cond: [
+                        cityHidden,
+                        { country: "$userDetails.address.country" },
+                        "$userDetails.address"
+                    ]
+                }
             },
             offeredSkills: "$offeredSkillsDetails",
             requiredSkills: "$requiredSkillsDetails"
@@ -386,7 +460,7 @@ export const getUserDetailsForTrading = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
     const skillProfile = await SkillProfileModel.findById(id)
-    .populate('userId', 'name profileImage profession address')
+    .populate('userId', 'name profileImage profession address privacy')
     .populate('offeredSkills')
     .populate('requiredSkills')
     .lean();
@@ -395,6 +469,15 @@ export const getUserDetailsForTrading = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Skill profile not found for the user");
     }
 
+    if (skillProfile.userId && (await isBlockedBetween(req.user._id, skillProfile.userId._id))) {
+        throw new ApiError(404, "Skill profile not found for the user");
+    }
+
+    if (skillProfile.userId) {
+        const relationship = await getRelationship(req.user._id, skillProfile.userId._id);
+        skillProfile.userId = applyPrivacy(skillProfile.userId, relationship);
+    }
+
     return res.status(200).json(
         new ApiResponse(
             200,
@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { FLUENCY_LEVELS, TEACHING_FORMATS, isLanguageCode } from "../../constants/languages.js";
 
 // ===== Offered Skill Validation =====
 export const offeredSkillSchema = z.object({
@@ -70,10 +71,31 @@ export const skillTradingQuerySchema = z.object({
     categories: z.string().optional(), // Comma-separated string
     country: z.string().optional(),
     city: z.string().optional(),
+    languages: z
+        .string()
+        .refine(
+            (codes) => codes.split(",").every((code) => isLanguageCode(code.trim().toLowerCase())),
+            "Languages must be ISO 639 language codes, e.g. \"en\" or \"ur\""
+        )
+        .optional(), // Comma-separated, any of them
+    minFluency: z.enum(FLUENCY_LEVELS).optional(), // Applies to the languages above
+    teachingFormats: z
+        .string()
+        .refine(
+            (formats) => formats.split(",").every((format) => Object.values(TEACHING_FORMATS).includes(format.trim())),
+            `Teaching formats must be among ${Object.values(TEACHING_FORMATS).join(", ")}`
+        )
+        .optional(), // Comma-separated, any of them
     minRating: z.string().regex(/^\d+(\.\d+)?$/, "Must be a valid number").optional(),
+    // Only users sharing free time with me over the next week
+    availableWithMe: z.enum(["true", "false"]).optional(),
+    minOverlapMinutes: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
     sortBy: z.enum(["rating", "totalExchanges", "createdAt"]).optional(),
     sortOrder: z.enum(["asc", "desc"]).optional(),
     page: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
     limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+}).refine((query) => !query.minFluency || query.languages, {
+    message: "minFluency needs languages to apply to",
+    path: ["minFluency"],
 });
 
@@ -2,6 +2,9 @@ import { TradeRequestModel } from "../../models/tradeRequest.model.js";
 import { ReviewModel } from "../../models/review.model.js";
 import { ApiResponse, ApiError, asyncHandler } from "../../utils/index.js";
 import { sendNotificationToUser, NOTIFICATION_EVENTS } from "../../services/socket.service.js";
+import { isBlockedBetween } from "../../services/block.service.js";
+import { updateUserRating } from "../../services/profile.service.js";
+import { recordFeedActivity } from "../../services/feed.service.js";
 import mongoose from "mongoose";
 
 /**
@@ -21,6 +24,11 @@ export const createTradeRequest = asyncHandler(async (req, res) => {
     throw new ApiError(400, "You cannot trade with yourself");
   }
 
+  // Same answer whichever side blocked, so a block isn't announced to the blocked user
+  if (await isBlockedBetween(senderId, receiverId)) {
+    throw new ApiError(403, "You can't send a trade request to this user");
+  }
+
   // Prevent duplicate pending requests between same users
   const existing = await TradeRequestModel.findOne({
     sender: senderId,
@@ -56,7 +64,7 @@ export const createTradeRequest = asyncHandler(async (req, res) => {
     receiverOfferedSkill: populatedTrade.receiverOfferedSkill.name,
     message: trade.message,
     createdAt: trade.createdAt,
-  });
+  }, { from: senderId });
 
   return res
     .status(201)
@@ -123,6 +131,11 @@ export const updateTradeStatus = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid status");
   }
 
+  // A pending request can't be accepted once either side has blocked the other
+  if (status === "accepted" && (await isBlockedBetween(senderId, receiverId))) {
+    throw new ApiError(403, "You can't trade with this user");
+  }
+
   // Determine who to notify (the other party)
   const notifyUserId = userId.toString() === senderId ? receiverId : senderId;
   const currentUser = userId.toString() === senderId ? trade.sender : trade.receiver;
@@ -139,7 +152,7 @@ export const updateTradeStatus = asyncHandler(async (req, res) => {
       },
       senderOfferedSkill: trade.senderOfferedSkill.name,
       receiverOfferedSkill: trade.receiverOfferedSkill.name,
-    });
+    }, { from: userId });
   }
 
   if (status === "rejected") {
@@ -154,7 +167,7 @@ export const updateTradeStatus = asyncHandler(async (req, res) => {
       },
       senderOfferedSkill: trade.senderOfferedSkill.name,
       receiverOfferedSkill: trade.receiverOfferedSkill.name,
-    });
+    }, { from: userId });
   }
 
   if (status === "completed") {
@@ -169,7 +182,11 @@ export const updateTradeStatus = asyncHandler(async (req, res) => {
       trade.completedBy.some(id => id.toString() === receiverId)
     ) {
       trade.status = "completed";
-      
+
+      // Shows up in the feed of whoever follows either side
+      recordFeedActivity("trade-completed", { actor: senderId, trade: trade._id });
+      recordFeedActivity("trade-completed", { actor: receiverId, trade: trade._id });
+
       // 🔔 Notify both users that trade is fully completed
       sendNotificationToUser(senderId, NOTIFICATION_EVENTS.TRADE_REQUEST_COMPLETED, {
         tradeId: trade._id,
@@ -179,7 +196,7 @@ export const updateTradeStatus = asyncHandler(async (req, res) => {
         },
         senderOfferedSkill: trade.senderOfferedSkill.name,
         receiverOfferedSkill: trade.receiverOfferedSkill.name,
-      });
+      }, { from: receiverId });
       
       sendNotificationToUser(receiverId, NOTIFICATION_EVENTS.TRADE_REQUEST_COMPLETED, {
         tradeId: trade._id,
@@ -189,7 +206,7 @@ export const updateTradeStatus = asyncHandler(async (req, res) => {
         },
         senderOfferedSkill: trade.senderOfferedSkill.name,
         receiverOfferedSkill: trade.receiverOfferedSkill.name,
-      });
+      }, { from: senderId });
     } else {
       // 🔔 Notify the other party that one person marked it complete
       sendNotificationToUser(notifyUserId, NOTIFICATION_EVENTS.TRADE_MARKED_COMPLETE, {
@@ -200,7 +217,7 @@ export const updateTradeStatus = asyncHandler(async (req, res) => {
         },
         senderOfferedSkill: trade.senderOfferedSkill.name,
         receiverOfferedSkill: trade.receiverOfferedSkill.name,
-      });
+      }, { from: userId });
     }
   }
 
@@ -293,6 +310,8 @@ export const submitReview = asyncHandler(async (req, res) => {
   // Update the reviewee's rating in their skill profile
   await updateUserRating(revieweeId);
 
+  recordFeedActivity("review-received", { actor: revieweeId, review: newReview._id });
+
   // 🔔 Send notification to reviewee
   sendNotificationToUser(revieweeId, NOTIFICATION_EVENTS.REVIEW_RECEIVED, {
     reviewId: newReview._id,
@@ -302,7 +321,7 @@ export const submitReview = asyncHandler(async (req, res) => {
     },
     rating,
     tradeId
-  });
+  }, { from: reviewerId });
 
   return res
     .status(201)
@@ -317,7 +336,13 @@ export const getUserReviews = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { page = 1, limit = 10 } = req.query;
 
-  const reviews = await ReviewModel.find({ reviewee: userId })
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const visibleReviews = { reviewee: userId, hidden: { $ne: true } };
+
+  const reviews = await ReviewModel.find(visibleReviews)
     .populate("reviewer", "name profileImage profession")
     .populate("skillReviewed", "name categories")
     .populate("tradeRequest", "senderOfferedSkill receiverOfferedSkill")
@@ -325,11 +350,12 @@ export const getUserReviews = asyncHandler(async (req, res) => {
     .skip((parseInt(page) - 1) * parseInt(limit))
     .limit(parseInt(limit));
 
-  const totalReviews = await ReviewModel.countDocuments({ reviewee: userId });
+  const totalReviews = await ReviewModel.countDocuments(visibleReviews);
 
   // Calculate average rating
+  // Aggregations don't cast, so the id has to be an ObjectId here
   const ratingStats = await ReviewModel.aggregate([
-    { $match: { reviewee: userId } },
+    { $match: { reviewee: new mongoose.Types.ObjectId(userId), hidden: { $ne: true } } },
     {
       $group: {
         _id: null,
@@ -389,7 +415,7 @@ export const getTradeReviews = asyncHandler(async (req, res) => {
     throw new ApiError(403, "You are not authorized to view reviews for this trade");
   }
 
-  const reviews = await ReviewModel.find({ tradeRequest: tradeId })
+  const reviews = await ReviewModel.find({ tradeRequest: tradeId, hidden: { $ne: true } })
     .populate("reviewer", "name profileImage")
     .populate("reviewee", "name profileImage")
     .populate("skillReviewed", "name");
@@ -398,32 +424,3 @@ export const getTradeReviews = asyncHandler(async (req, res) => {
     .status(200)
     .json(new ApiResponse(200, reviews, "Trade reviews retrieved successfully"));
 });
-
-async function updateUserRating(userId) {
-  try {
-    const ratingStats = await ReviewModel.aggregate([
-      { $match: { reviewee: userId } },
-      {
-        $group: {
-          _id: null,
-          averageRating: { $avg: "$rating" },
-          totalReviews: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const averageRating = ratingStats[0]?.averageRating || 0;
-
-    // Import SkillProfileModel
-    const { SkillProfileModel } = await import("../../models/skillProfile.model.js");
-
-    // Update skill profile rating
-    await SkillProfileModel.findOneAndUpdate(
-      { userId },
-      { rating: Math.round(averageRating * 10) / 10 },
-      { upsert: false }
-    );
-  } catch (error) {
-    console.error("Error updating user rating:", error);
-  }
-}
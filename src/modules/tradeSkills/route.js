@@ -3,7 +3,7 @@ import { createTradeRequest, getSentTradeRequests } from "./controller.js";
 import { getReceivedTradeRequests } from "./controller.js";
 import { updateTradeStatus } from "./controller.js";
 import { submitReview, getUserReviews, getTradeReviews } from "./controller.js";
-import { verifyJwt } from "../../middlewares/auth.middleware.js";
+import { verifyJwt, requireVerified } from "../../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
@@ -12,9 +12,9 @@ router.use(verifyJwt);
 
 /**
  * @route POST /api/trades
- * @desc Create a new skill trade (barter) request
+ * @desc Create a new skill trade (barter) request (verified accounts only)
  */
-router.post("/", createTradeRequest);
+router.post("/", requireVerified, createTradeRequest);
 
 /**
  * @route GET /api/trades/sent
@@ -1,14 +1,665 @@
 import { ApiError, ApiResponse, asyncHandler } from "../../utils/index.js";
 import { User } from "../../models/index.js";
+import { ApiKeyModel } from "../../models/apiKey.model.js";
+import { createApiKey } from "../../services/apiKey.service.js";
+import { collectUserData, getDeletionGraceMs } from "../../services/account.service.js";
+import { sendAccountDeletionScheduledEmail } from "../../services/mail.service.js";
+import { recordAuditEvent } from "../../services/audit.service.js";
+import { AuditEventModel } from "../../models/auditEvent.model.js";
+import { getPublicProfile } from "../../services/profile.service.js";
+import { getProfileCompleteness } from "../../services/profileCompleteness.service.js";
+import { deleteAvatarFiles, storeAvatar } from "../../services/avatar.service.js";
+import { UserBlockModel } from "../../models/userBlock.model.js";
+import { SessionModel } from "../../models/session.model.js";
+import { UserFollowModel } from "../../models/userFollow.model.js";
+import { TradeRequestModel } from "../../models/tradeRequest.model.js";
+import { computeOverlap, hasAvailability, toWeeklyUtcRanges } from "../../services/availability.service.js";
+import { isBlockedBetween } from "../../services/block.service.js";
+import { sendNotificationToUser, NOTIFICATION_EVENTS } from "../../services/socket.service.js";
+import { describeDevice, toCsv } from "../../utils/helpers.js";
+import archiver from "archiver";
+import mongoose from "mongoose";
 
 
 export const updateUserProfile = asyncHandler(async (req, res) => {
     const { user: existingUser } = req;
-    console.log(req.body);
-    const user = await User.findByIdAndUpdate(existingUser._id, req.body, { new: true });
+
+    // req.body has been through updateProfileSchema, so only editable fields are left.
+    // Credentials go through /auth/change-password and /auth/change-email instead.
+    const update = { $set: req.body };
+
+    // Switching to an image URL makes the uploaded avatar unused
+    const replacesAvatar = req.body.profileImage !== undefined && existingUser.avatar?.keys?.length > 0;
+    if (replacesAvatar) {
+        update.$set = { ...req.body, avatar: { urls: {}, keys: [] } };
+    }
+
+    const user = await User.findByIdAndUpdate(
+        existingUser._id,
+        update,
+        { new: true, runValidators: true }
+    );
     if (!user) {
         throw new ApiError(404, "User now found")
     }
+
+    if (replacesAvatar) {
+        await deleteAvatarFiles(existingUser.avatar);
+    }
+
+    recordAuditEvent("profile-updated", { userId: user._id, req, metadata: { fields: Object.keys(req.body) } });
     return res.status(200).json(new ApiResponse(200, user.toJSON(), "User updated successfully"));
 });
 
+
+// POST /user/avatar (multipart, field "avatar")
+export const uploadUserAvatar = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new ApiError(400, "Please attach an image in the \"avatar\" field");
+    }
+
+    const previousAvatar = req.user.avatar;
+    const { urls, keys } = await storeAvatar(req.user._id, req.file.buffer);
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: { profileImage: urls.medium, avatar: { urls, keys } } },
+        { new: true }
+    );
+    if (!user) {
+        await deleteAvatarFiles({ keys });
+        throw new ApiError(404, "User not found");
+    }
+
+    // Only once the user points at the new files
+    await deleteAvatarFiles(previousAvatar);
+
+    recordAuditEvent("profile-updated", { userId: user._id, req, metadata: { fields: ["avatar"] } });
+
+    return res.status(200).json(
+        new ApiResponse(200, { profileImage: user.profileImage, avatar: user.avatar.urls }, "Avatar updated successfully")
+    );
+});
+
+// PUT /user/privacy - who may see email, city, social links and age
+export const updatePrivacySettings = asyncHandler(async (req, res) => {
+    const updates = Object.fromEntries(
+        Object.entries(req.body).map(([field, audience]) => [`privacy.${field}`, audience])
+    );
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: updates },
+        { new: true, runValidators: true }
+    );
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    recordAuditEvent("profile-updated", { userId: user._id, req, metadata: { fields: ["privacy"] } });
+
+    return res.status(200).json(new ApiResponse(200, { privacy: user.privacy }, "Privacy settings updated successfully"));
+});
+
+// GET /user/profile-completeness - score out of 100 and the onboarding checklist
+export const getMyProfileCompleteness = asyncHandler(async (req, res) => {
+    const result = await getProfileCompleteness(req.user._id);
+    if (!result) {
+        throw new ApiError(404, "User not found");
+    }
+
+    // What's worth doing first: the steps that would add the most points
+    const nextSteps = result.checklist
+        .filter((item) => !item.done)
+        .sort((a, b) => b.weight - b.points - (a.weight - a.points))
+        .map(({ key, step }) => ({ key, step }));
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { ...result, nextSteps },
+            result.score === 100 ? "Your profile is complete" : "Profile completeness retrieved successfully"
+        )
+    );
+});
+
+// GET /user/:id/profile - what the viewer is allowed to see of another member
+export const getUserPublicProfile = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid user id");
+    }
+
+    const result = await getPublicProfile(id, req.user._id);
+    if (!result) {
+        throw new ApiError(404, "User not found");
+    }
+
+    return res.status(200).json(new ApiResponse(200, result, "Profile retrieved successfully"));
+});
+
+// ===== AVAILABILITY =====
+
+// GET /user/availability
+export const getMyAvailability = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, { availability: req.user.availability }, "Availability retrieved successfully")
+    );
+});
+
+// PUT /user/availability - replaces the whole schedule
+export const updateAvailability = asyncHandler(async (req, res) => {
+    const { timezone, slots, exceptions } = req.body;
+
+    // Past exceptions can't matter anymore, no point keeping them around
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        {
+            $set: {
+                availability: {
+                    timezone,
+                    slots: [...slots].sort((a, b) => a.day - b.day || a.start.localeCompare(b.start)),
+                    exceptions: exceptions
+                        .filter((exception) => exception.date >= yesterday)
+                        .sort((a, b) => a.date.localeCompare(b.date)),
+                    weeklyUtc: toWeeklyUtcRanges({ timezone, slots }),
+                },
+            },
+        },
+        { new: true, runValidators: true }
+    );
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    recordAuditEvent("profile-updated", { userId: user._id, req, metadata: { fields: ["availability"] } });
+
+    return res.status(200).json(
+        new ApiResponse(200, { availability: user.availability }, "Availability updated successfully")
+    );
+});
+
+// GET /user/:id/availability/overlap?days=7 - when both of you are free, in UTC
+export const getAvailabilityOverlap = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 28);
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid user id");
+    }
+    if (id === req.user._id.toString()) {
+        throw new ApiError(400, "Pick another member to compare with");
+    }
+
+    const other = await User.findById(id).select("availability deletedAt").lean();
+    if (!other || other.deletedAt || (await isBlockedBetween(req.user._id, other._id))) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (!hasAvailability(req.user.availability)) {
+        throw new ApiError(400, "Set your own availability first");
+    }
+
+    const overlap = computeOverlap(req.user.availability, other.availability, { days });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                ...overlap,
+                timezone: req.user.availability.timezone,
+                otherTimezone: other.availability?.timezone || "UTC",
+            },
+            overlap.intervals.length > 0 ? "Overlapping availability found" : "No overlapping availability"
+        )
+    );
+});
+
+// ===== BLOCK & MUTE =====
+
+const findTargetUser = async (req, action = "block or mute") => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid user id");
+    }
+    if (id === req.user._id.toString()) {
+        throw new ApiError(400, `You cannot ${action} yourself`);
+    }
+
+    const target = await User.findById(id).select("_id name profileImage deletedAt");
+    if (!target || target.deletedAt) {
+        throw new ApiError(404, "User not found");
+    }
+    return target;
+};
+
+// POST /user/:id/block - no trades, messages, notifications or discovery either way
+export const blockUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req);
+
+    // Upgrades an existing mute
+    await UserBlockModel.findOneAndUpdate(
+        { blocker: req.user._id, blocked: target._id },
+        { type: "block" },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    // Requests still waiting for an answer can no longer be accepted, close them
+    await TradeRequestModel.updateMany(
+        {
+            $or: [
+                { sender: req.user._id, receiver: target._id },
+                { sender: target._id, receiver: req.user._id },
+            ],
+            status: "pending",
+        },
+        { status: "rejected" }
+    );
+
+    // Following goes both ways out of the window too
+    await UserFollowModel.deleteMany({
+        $or: [
+            { follower: req.user._id, following: target._id },
+            { follower: target._id, following: req.user._id },
+        ],
+    });
+
+    return res.status(200).json(new ApiResponse(200, null, "User blocked"));
+});
+
+// DELETE /user/:id/block
+export const unblockUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req);
+
+    const removed = await UserBlockModel.findOneAndDelete({ blocker: req.user._id, blocked: target._id, type: "block" });
+    if (!removed) {
+        throw new ApiError(404, "You have not blocked this user");
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "User unblocked"));
+});
+
+// POST /user/:id/mute - only silences their notifications
+export const muteUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req);
+
+    const existing = await UserBlockModel.findOne({ blocker: req.user._id, blocked: target._id });
+    if (existing?.type === "block") {
+        throw new ApiError(400, "This user is already blocked");
+    }
+    if (!existing) {
+        await UserBlockModel.create({ blocker: req.user._id, blocked: target._id, type: "mute" });
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "User muted"));
+});
+
+// DELETE /user/:id/mute
+export const unmuteUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req);
+
+    const removed = await UserBlockModel.findOneAndDelete({ blocker: req.user._id, blocked: target._id, type: "mute" });
+    if (!removed) {
+        throw new ApiError(404, "You have not muted this user");
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "User unmuted"));
+});
+
+// GET /user/blocks - people the user blocked or muted (never who blocked them)
+export const getBlockedUsers = asyncHandler(async (req, res) => {
+    const entries = await UserBlockModel.find({ blocker: req.user._id })
+        .populate("blocked", "name profileImage")
+        .sort({ createdAt: -1 });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                blocked: entries.filter((entry) => entry.type === "block"),
+                muted: entries.filter((entry) => entry.type === "mute"),
+            },
+            "Blocked and muted users retrieved successfully"
+        )
+    );
+});
+
+// ===== FOLLOW & FAVOURITES =====
+
+// POST /user/:id/follow - their new skills, completed trades and reviews show up in GET /feed
+export const followUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req, "follow");
+
+    if (await isBlockedBetween(req.user._id, target._id)) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const result = await UserFollowModel.updateOne(
+        { follower: req.user._id, following: target._id, type: "follow" },
+        { $setOnInsert: { follower: req.user._id, following: target._id, type: "follow" } },
+        { upsert: true }
+    );
+
+    // Following again is a no-op, and shouldn't notify again either
+    if (result.upsertedCount > 0) {
+        sendNotificationToUser(target._id, NOTIFICATION_EVENTS.NEW_FOLLOWER, {
+            follower: {
+                _id: req.user._id,
+                name: req.user.name,
+                profileImage: req.user.profileImage,
+            },
+        }, { from: req.user._id });
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, `You are now following ${target.name}`));
+});
+
+// DELETE /user/:id/follow
+export const unfollowUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req, "unfollow");
+
+    const removed = await UserFollowModel.findOneAndDelete({ follower: req.user._id, following: target._id, type: "follow" });
+    if (!removed) {
+        throw new ApiError(404, "You are not following this user");
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "User unfollowed"));
+});
+
+// POST /user/:id/favourite - private, the other user is never told
+export const favouriteUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req, "favourite");
+
+    if (await isBlockedBetween(req.user._id, target._id)) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const favourites = await UserFollowModel.countDocuments({ follower: req.user._id, type: "favourite" });
+    if (favourites >= 500) {
+        throw new ApiError(400, "You can have at most 500 favourites");
+    }
+
+    await UserFollowModel.updateOne(
+        { follower: req.user._id, following: target._id, type: "favourite" },
+        { $setOnInsert: { follower: req.user._id, following: target._id, type: "favourite" } },
+        { upsert: true }
+    );
+
+    return res.status(200).json(new ApiResponse(200, null, "Added to favourites"));
+});
+
+// DELETE /user/:id/favourite
+export const unfavouriteUser = asyncHandler(async (req, res) => {
+    const target = await findTargetUser(req, "unfavourite");
+
+    const removed = await UserFollowModel.findOneAndDelete({ follower: req.user._id, following: target._id, type: "favourite" });
+    if (!removed) {
+        throw new ApiError(404, "This user is not in your favourites");
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "Removed from favourites"));
+});
+
+// Shared by the three list endpoints: `field` is the side of the entry the listed users are on
+const listFollows = async (filter, field, { page = 1, limit = 20 }) => {
+    const pageNumber = Math.max(parseInt(page), 1);
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 100);
+
+    const [entries, totalCount] = await Promise.all([
+        UserFollowModel.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .populate(field, "name profileImage profession deletedAt")
+            .lean(),
+        UserFollowModel.countDocuments(filter),
+    ]);
+
+    const users = entries
+        .filter((entry) => entry[field] && !entry[field].deletedAt)
+        .map((entry) => {
+            const user = { ...entry[field], since: entry.createdAt };
+            delete user.deletedAt;
+            return user;
+        });
+
+    return {
+        users,
+        pagination: {
+            page: pageNumber,
+            limit: pageSize,
+            totalPages: Math.ceil(totalCount / pageSize),
+            totalUsers: totalCount,
+        },
+    };
+};
+
+// GET /user/following
+export const getFollowing = asyncHandler(async (req, res) => {
+    const result = await listFollows({ follower: req.user._id, type: "follow" }, "following", req.query);
+    return res.status(200).json(new ApiResponse(200, result, "Followed users retrieved successfully"));
+});
+
+// GET /user/followers
+export const getFollowers = asyncHandler(async (req, res) => {
+    const result = await listFollows({ following: req.user._id, type: "follow" }, "follower", req.query);
+    return res.status(200).json(new ApiResponse(200, result, "Followers retrieved successfully"));
+});
+
+// GET /user/favourites
+export const getFavourites = asyncHandler(async (req, res) => {
+    const result = await listFollows({ follower: req.user._id, type: "favourite" }, "following", req.query);
+    return res.status(200).json(new ApiResponse(200, result, "Favourites retrieved successfully"));
+});
+
+export const createUserApiKey = asyncHandler(async (req, res) => {
+    const { name, scope, expiresInDays } = req.body;
+
+    // Expired keys no longer work, so they don't count towards the cap either
+    const activeKeys = await ApiKeyModel.countDocuments({
+        userId: req.user._id,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+    if (activeKeys >= 10) {
+        throw new ApiError(400, "You can have at most 10 active API keys, revoke one first");
+    }
+
+    const { rawKey, apiKey } = await createApiKey(req.user._id, { name, scope, expiresInDays });
+
+    recordAuditEvent("api-key-created", { userId: req.user._id, req, metadata: { apiKeyId: apiKey._id, name, scope: apiKey.scope } });
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            {
+                key: rawKey,
+                apiKey: {
+                    _id: apiKey._id,
+                    name: apiKey.name,
+                    prefix: apiKey.prefix,
+                    scope: apiKey.scope,
+                    expiresAt: apiKey.expiresAt,
+                    createdAt: apiKey.createdAt,
+                },
+            },
+            "API key created, copy it now as it won't be shown again"
+        )
+    );
+});
+
+export const getUserApiKeys = asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKeyModel.find({ userId: req.user._id, revokedAt: null })
+        .sort({ createdAt: -1 });
+
+    return res.status(200).json(new ApiResponse(200, { apiKeys }, "API keys retrieved successfully"));
+});
+
+export const revokeUserApiKey = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid API key id");
+    }
+
+    const apiKey = await ApiKeyModel.findOneAndUpdate(
+        { _id: id, userId: req.user._id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+    );
+
+    if (!apiKey) {
+        throw new ApiError(404, "API key not found");
+    }
+
+    recordAuditEvent("api-key-revoked", { userId: req.user._id, req, metadata: { apiKeyId: apiKey._id, name: apiKey.name } });
+
+    return res.status(200).json(new ApiResponse(200, null, "API key revoked successfully"));
+});
+
+// GET /user/export?format=json|zip
+export const exportUserData = asyncHandler(async (req, res) => {
+    const { format = "json" } = req.query;
+
+    const data = await collectUserData(req.user._id);
+    const fileName = `skill-nexus-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === "json") {
+        return res
+            .status(200)
+            .attachment(`${fileName}.json`)
+            .json(new ApiResponse(200, { data }, "Data exported successfully"));
+    }
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (error) => {
+        console.error("Error building export archive:", error);
+        res.destroy(error);
+    });
+
+    res.status(200).attachment(`${fileName}.zip`);
+    archive.pipe(res);
+
+    archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+    archive.append(toCsv([data.profile || {}]), { name: "profile.csv" });
+    archive.append(toCsv(data.skills.offered), { name: "offered_skills.csv" });
+    archive.append(toCsv(data.skills.required), { name: "required_skills.csv" });
+    archive.append(toCsv(data.trades), { name: "trades.csv" });
+    archive.append(toCsv(data.reviewsWritten), { name: "reviews_written.csv" });
+    archive.append(toCsv(data.reviewsReceived), { name: "reviews_received.csv" });
+    archive.append(toCsv(data.messages), { name: "messages.csv" });
+
+    await archive.finalize();
+});
+
+const REAUTH_WINDOW_MS = 10 * 60 * 1000;
+
+// DELETE /user - starts the grace period, the account is anonymised once it ends
+export const requestAccountDeletion = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (user.passwordSet) {
+        const doesPasswordMatch = password ? await user.isPasswordCorrect(password) : false;
+        if (!doesPasswordMatch) {
+            throw new ApiError(401, "Password is incorrect");
+        }
+    } else {
+        // Nobody knows the random password of an OIDC sign-up, a login from the last few minutes
+        // (signing in with the provider again) stands in for it
+        const session = await SessionModel.findById(req.sessionId).select("createdAt");
+        if (!session || Date.now() - session.createdAt.getTime() > REAUTH_WINDOW_MS) {
+            throw new ApiError(401, "Please sign in again before deleting your account");
+        }
+    }
+
+    if (user.deletionScheduledFor) {
+        throw new ApiError(400, "Account deletion is already scheduled");
+    }
+
+    user.deletionScheduledFor = new Date(Date.now() + getDeletionGraceMs());
+    await user.save({ validateBeforeSave: false });
+
+    recordAuditEvent("account-deletion-requested", {
+        userId: user._id,
+        req,
+        metadata: { deletionScheduledFor: user.deletionScheduledFor },
+    });
+
+    await sendAccountDeletionScheduledEmail(user, user.deletionScheduledFor);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { deletionScheduledFor: user.deletionScheduledFor },
+            "Account scheduled for deletion, you can cancel until then"
+        )
+    );
+});
+
+// POST /user/delete/cancel
+export const cancelAccountDeletion = asyncHandler(async (req, res) => {
+    const user = await User.findOneAndUpdate(
+        { _id: req.user._id, deletionScheduledFor: { $ne: null } },
+        { deletionScheduledFor: null },
+        { new: true }
+    );
+
+    if (!user) {
+        throw new ApiError(400, "No account deletion is scheduled");
+    }
+
+    recordAuditEvent("account-deletion-cancelled", { userId: user._id, req });
+
+    return res.status(200).json(new ApiResponse(200, null, "Account deletion cancelled"));
+});
+
+// GET /user/security-activity?type=&page=&limit=
+export const getSecurityActivity = asyncHandler(async (req, res) => {
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const filter = { userId: req.user._id };
+    if (type) filter.type = type;
+
+    const pageNumber = Math.max(parseInt(page), 1);
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 100);
+
+    const [events, totalCount] = await Promise.all([
+        AuditEventModel.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .select("type ip userAgent metadata actorId createdAt")
+            .lean(),
+        AuditEventModel.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                events: events.map(({ actorId, ...event }) => ({
+                    ...event,
+                    device: describeDevice(event.userAgent),
+                    // Only say that someone else acted on the account, not who
+                    byAdmin: !!actorId,
+                })),
+                pagination: {
+                    page: pageNumber,
+                    limit: pageSize,
+                    totalPages: Math.ceil(totalCount / pageSize),
+                    totalEvents: totalCount,
+                },
+            },
+            "Security activity retrieved successfully"
+        )
+    );
+});
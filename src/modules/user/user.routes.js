@@ -1,9 +1,122 @@
 import { Router } from "express";
-import { updateUserProfile } from "./user.controller.js";
-import { verifyJwt } from "../../middlewares/auth.middleware.js";
+import {
+    blockUser,
+    cancelAccountDeletion,
+    createUserApiKey,
+    exportUserData,
+    favouriteUser,
+    followUser,
+    getAvailabilityOverlap,
+    getBlockedUsers,
+    getFavourites,
+    getFollowers,
+    getFollowing,
+    getMyAvailability,
+    getMyProfileCompleteness,
+    getSecurityActivity,
+    getUserApiKeys,
+    getUserPublicProfile,
+    muteUser,
+    requestAccountDeletion,
+    revokeUserApiKey,
+    unblockUser,
+    unfavouriteUser,
+    unfollowUser,
+    unmuteUser,
+    updateAvailability,
+    updatePrivacySettings,
+    updateUserProfile,
+    uploadUserAvatar,
+} from "./user.controller.js";
+import { requireSessionAuth, verifyJwt } from "../../middlewares/auth.middleware.js";
+import { uploadAvatar } from "../../middlewares/upload.middleware.js";
+import { validateRequest } from "../../middlewares/validate.middleware.js";
+import {
+    availabilityOverlapQuerySchema,
+    createApiKeySchema,
+    deleteAccountSchema,
+    exportQuerySchema,
+    followListQuerySchema,
+    securityActivityQuerySchema,
+    updateAvailabilitySchema,
+    updatePrivacySchema,
+    updateProfileSchema,
+} from "./user.validator.js";
 
 const router = Router();
 
-router.put("/update", verifyJwt, updateUserProfile);
+router.put("/update", verifyJwt, validateRequest(updateProfileSchema), updateUserProfile);
+
+// multipart/form-data with an "avatar" image, resized into a few sizes
+router.post("/avatar", verifyJwt, uploadAvatar, uploadUserAvatar);
+
+router.put("/privacy", verifyJwt, validateRequest(updatePrivacySchema), updatePrivacySettings);
+
+// How complete the profile is and which onboarding steps are left
+router.get("/profile-completeness", verifyJwt, getMyProfileCompleteness);
+
+// Another member's public profile, fields are hidden according to their privacy settings
+router.get("/:id/profile", verifyJwt, getUserPublicProfile);
+
+// Weekly schedule in the user's timezone, and when it overlaps with another member's
+router.get("/availability", verifyJwt, getMyAvailability);
+
+router.put("/availability", verifyJwt, validateRequest(updateAvailabilitySchema), updateAvailability);
+
+router.get(
+    "/:id/availability/overlap",
+    verifyJwt,
+    validateRequest(availabilityOverlapQuerySchema, "query"),
+    getAvailabilityOverlap
+);
+
+// Blocking cuts all contact both ways, muting only silences notifications
+router.get("/blocks", verifyJwt, getBlockedUsers);
+
+router.post("/:id/block", verifyJwt, blockUser);
+
+router.delete("/:id/block", verifyJwt, unblockUser);
+
+router.post("/:id/mute", verifyJwt, muteUser);
+
+router.delete("/:id/mute", verifyJwt, unmuteUser);
+
+// Following puts someone's activity in your feed, favourites are a private shortlist
+router.get("/following", verifyJwt, validateRequest(followListQuerySchema, "query"), getFollowing);
+
+router.get("/followers", verifyJwt, validateRequest(followListQuerySchema, "query"), getFollowers);
+
+router.get("/favourites", verifyJwt, validateRequest(followListQuerySchema, "query"), getFavourites);
+
+router.post("/:id/follow", verifyJwt, followUser);
+
+router.delete("/:id/follow", verifyJwt, unfollowUser);
+
+router.post("/:id/favourite", verifyJwt, favouriteUser);
+
+router.delete("/:id/favourite", verifyJwt, unfavouriteUser);
+
+// Personal API keys can only be managed from a logged-in session, never with another key
+router.post("/api-keys", verifyJwt, requireSessionAuth, validateRequest(createApiKeySchema), createUserApiKey);
+
+router.get("/api-keys", verifyJwt, requireSessionAuth, getUserApiKeys);
+
+router.delete("/api-keys/:id", verifyJwt, requireSessionAuth, revokeUserApiKey);
+
+// Personal data export and account deletion
+router.get("/export", verifyJwt, requireSessionAuth, validateRequest(exportQuerySchema, "query"), exportUserData);
+
+router.delete("/", verifyJwt, requireSessionAuth, validateRequest(deleteAccountSchema), requestAccountDeletion);
+
+router.post("/delete/cancel", verifyJwt, requireSessionAuth, cancelAccountDeletion);
+
+// The user's own login, password and account-change history
+router.get(
+    "/security-activity",
+    verifyJwt,
+    requireSessionAuth,
+    validateRequest(securityActivityQuerySchema, "query"),
+    getSecurityActivity
+);
 
 export default router;
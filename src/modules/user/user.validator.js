@@ -0,0 +1,117 @@
+import { z } from "zod";
+import { signupSchema } from "../auth/auth.validator.js";
+import { AUDIT_EVENT_TYPES } from "../../models/auditEvent.model.js";
+import { PRIVACY_AUDIENCES } from "../../constants/privacy.js";
+import { isValidTimezone } from "../../services/availability.service.js";
+
+// Only fields a user may edit on their own profile, with the same rules as signup.
+// Unknown keys (role, isVerified, password, ...) are rejected instead of silently dropped.
+export const updateProfileSchema = signupSchema
+  .pick({
+    name: true,
+    age: true,
+    bio: true,
+    address: true,
+    profession: true,
+    languages: true,
+    teachingFormats: true,
+    socialLinks: true,
+    profileImage: true,
+  })
+  .partial()
+  .strict();
+
+export const createApiKeySchema = z.object({
+  name: z
+    .string({ required_error: "Key name is required" })
+    .trim()
+    .min(1, "Key name is required")
+    .max(50, "Key name cannot exceed 50 characters"),
+
+  scope: z.enum(["read", "read-write"]).default("read"),
+
+  expiresInDays: z
+    .number()
+    .int()
+    .positive("Expiry must be a positive number of days")
+    .max(365, "Keys can't live longer than a year")
+    .optional(),
+});
+
+// Accounts without a password of their own (OIDC sign-ups) send { confirm: true } instead
+export const deleteAccountSchema = z
+  .object({
+    password: z.string().min(1, "Password is required").optional(),
+    confirm: z.literal(true).optional(),
+  })
+  .refine((body) => body.password || body.confirm, {
+    message: "Password is required",
+    path: ["password"],
+  });
+
+export const exportQuerySchema = z.object({
+  format: z.enum(["json", "zip"]).optional(),
+});
+
+export const followListQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+  limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+});
+
+export const securityActivityQuerySchema = z.object({
+  type: z.enum(AUDIT_EVENT_TYPES).optional(),
+  page: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+  limit: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+});
+
+const privacyAudienceSchema = z.enum(Object.values(PRIVACY_AUDIENCES));
+
+export const updatePrivacySchema = z
+  .object({
+    email: privacyAudienceSchema,
+    city: privacyAudienceSchema,
+    socialLinks: privacyAudienceSchema,
+    age: privacyAudienceSchema,
+  })
+  .partial()
+  .strict();
+
+// "HH:MM", with "24:00" allowed as the end of a day
+const timeSchema = z.string().regex(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, "Times must be in HH:MM format");
+
+const timeRangeSchema = z
+  .object({
+    start: timeSchema,
+    end: timeSchema,
+  })
+  .refine((slot) => slot.start < slot.end, {
+    message: "A slot must end after it starts, split slots that run past midnight",
+    path: ["end"],
+  });
+
+export const updateAvailabilitySchema = z
+  .object({
+    timezone: z.string().refine(isValidTimezone, "Must be a valid IANA timezone, e.g. Europe/Berlin"),
+    slots: z
+      .array(timeRangeSchema.safeExtend({ day: z.number().int().min(0).max(6) }))
+      .max(50, "At most 50 weekly slots"),
+    // Replaces the weekly slots on one date, an empty list marks the day as unavailable
+    exceptions: z
+      .array(
+        z.object({
+          date: z.iso.date(),
+          slots: z.array(timeRangeSchema).max(10, "At most 10 slots per exception"),
+        })
+      )
+      .max(60, "At most 60 exceptions")
+      .default([]),
+  })
+  .strict()
+  .refine((body) => new Set(body.exceptions.map((exception) => exception.date)).size === body.exceptions.length, {
+    message: "Each date can only have one exception",
+    path: ["exceptions"],
+  });
+
+export const availabilityOverlapQuerySchema = z.object({
+  days: z.string().regex(/^\d+$/, "Must be a valid number").optional(),
+});
@@ -5,6 +5,10 @@ import SkillProfileRoutes from "../modules/skillsProfile/skillProfile.routes.js"
 import TradeSkillRoutes from "../modules/tradeSkills/route.js";
 import AIRoutes from "../modules/ai/ai.routes.js";
 import ChatRoutes from "../modules/chat/chat.routes.js";
+import AdminRoutes from "../modules/admin/admin.routes.js";
+import InviteRoutes from "../modules/invite/invite.routes.js";
+import ReportRoutes from "../modules/report/report.routes.js";
+import FeedRoutes from "../modules/feed/feed.routes.js";
 
 const router = Router();
 
@@ -14,5 +18,9 @@ router.use("/skills", SkillProfileRoutes);
 router.use("/trade-skills", TradeSkillRoutes);
 router.use("/ai", AIRoutes);
 router.use("/chat", ChatRoutes);
+router.use("/admin", AdminRoutes);
+router.use("/invites", InviteRoutes);
+router.use("/reports", ReportRoutes);
+router.use("/feed", FeedRoutes);
 
 export default router;
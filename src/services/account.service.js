@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { SkillModel } from "../models/skill.model.js";
+import { SkillProfileModel } from "../models/skillProfile.model.js";
+import { TradeRequestModel } from "../models/tradeRequest.model.js";
+import { ReviewModel } from "../models/review.model.js";
+import { MessageModel } from "../models/chat.model.js";
+import { ApiKeyModel } from "../models/apiKey.model.js";
+import { InviteCodeModel } from "../models/inviteCode.model.js";
+import { UserFollowModel } from "../models/userFollow.model.js";
+import { FeedActivityModel } from "../models/feedActivity.model.js";
+import { revokeUserSessions } from "./session.service.js";
+import { deleteAvatarFiles } from "./avatar.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const getDeletionGraceMs = () => (Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 7) * DAY;
+
+// ===== DATA EXPORT =====
+
+// Everything we hold about a user, as plain JSON (ids and dates already stringified)
+export const collectUserData = async (userId) => {
+    const [user, skillProfile, trades, reviewsWritten, reviewsReceived, messages] = await Promise.all([
+        User.findById(userId),
+        SkillProfileModel.findOne({ userId }).populate("offeredSkills").populate("requiredSkills").lean(),
+        TradeRequestModel.find({ $or: [{ sender: userId }, { receiver: userId }] }).sort({ createdAt: 1 }).lean(),
+        ReviewModel.find({ reviewer: userId }).sort({ createdAt: 1 }).lean(),
+        ReviewModel.find({ reviewee: userId }).sort({ createdAt: 1 }).lean(),
+        MessageModel.find({ $or: [{ sender: userId }, { receiver: userId }] }).sort({ createdAt: 1 }).lean(),
+    ]);
+
+    return JSON.parse(JSON.stringify({
+        exportedAt: new Date(),
+        profile: user?.toJSON() || null,
+        skills: {
+            rating: skillProfile?.rating ?? 0,
+            totalExchanges: skillProfile?.totalExchanges ?? 0,
+            offered: skillProfile?.offeredSkills || [],
+            required: skillProfile?.requiredSkills || [],
+        },
+        trades,
+        reviewsWritten,
+        reviewsReceived,
+        messages,
+    }));
+};
+
+// ===== ACCOUNT DELETION =====
+
+// Strip everything identifying from the account but keep the document, so trades,
+// reviews and messages other people took part in still resolve to a "Deleted user"
+export const anonymiseUser = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) return;
+
+    const skillProfile = await SkillProfileModel.findOne({ userId });
+    if (skillProfile) {
+        await SkillModel.deleteMany({ _id: { $in: [...skillProfile.offeredSkills, ...skillProfile.requiredSkills] } });
+        await SkillProfileModel.deleteOne({ _id: skillProfile._id });
+    }
+
+    // Nobody can finish a trade with a deleted account
+    await TradeRequestModel.updateMany(
+        { $or: [{ sender: userId }, { receiver: userId }], status: { $in: ["pending", "accepted"] } },
+        { status: "rejected" }
+    );
+
+    await revokeUserSessions(userId, "user-revoked");
+    await ApiKeyModel.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+    await InviteCodeModel.updateMany({ createdBy: userId, revokedAt: null }, { revokedAt: new Date() });
+    await UserFollowModel.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+    await FeedActivityModel.deleteMany({ actor: userId });
+
+    await deleteAvatarFiles(user.avatar);
+
+    user.set({
+        name: "Deleted user",
+        email: `deleted-${user._id}@deleted.invalid`,
+        password: crypto.randomBytes(32).toString("hex"),
+        profileImage: "",
+        avatar: { urls: {}, keys: [] },
+        bio: "",
+        address: {},
+        languages: [],
+        availability: { timezone: "UTC", slots: [], exceptions: [], weeklyUtc: [] },
+        profession: undefined,
+        age: undefined,
+        lastLogin: undefined,
+        isVerified: false,
+        pendingEmail: "",
+        socialLinks: { github: "", linkedin: "", twitter: "", portfolio: "" },
+        identities: [],
+        twoFactor: { enabled: false },
+        deletionScheduledFor: undefined,
+        deletedAt: new Date(),
+    });
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🗑️ Account ${userId} anonymised`);
+};
+
+export const processDueDeletions = async () => {
+    const dueUsers = await User.find({
+        deletionScheduledFor: { $lte: new Date() },
+        deletedAt: null,
+    }).select("_id");
+
+    for (const { _id } of dueUsers) {
+        try {
+            await anonymiseUser(_id);
+        } catch (error) {
+            console.error(`Error deleting account ${_id}:`, error);
+        }
+    }
+};
+
+// Checks for accounts whose grace period has ended
+export const startAccountDeletionScheduler = (intervalMs = 60 * 60 * 1000) => {
+    processDueDeletions().catch((error) => console.error("Error processing account deletions:", error));
+
+    const timer = setInterval(() => {
+        processDueDeletions().catch((error) => console.error("Error processing account deletions:", error));
+    }, intervalMs);
+    timer.unref();
+
+    return timer;
+};
+
+export default {
+    getDeletionGraceMs,
+    collectUserData,
+    anonymiseUser,
+    processDueDeletions,
+    startAccountDeletionScheduler,
+};
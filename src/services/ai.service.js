@@ -1,3 +1,5 @@
+import { FLUENCY_LEVELS, TEACHING_FORMATS } from "../constants/languages.js";
+
 // AI Service using Google Gemini Pro (Free)
 class AIService {
     constructor() {
@@ -301,9 +303,46 @@ Similarity score (0-1):`;
         const activity = ((otherUser.metrics?.completedRequests || 0) * 2 + (otherUser.metrics?.acceptedRequests || 0)) / 50;
         score += Math.min(activity, 1) * 10;
 
+        // Unknown (not filled in) languages and formats neither help nor hurt
+        const sharedLanguages = this.getSharedLanguages(currentUser.languages, otherUser.user?.languages);
+        if (sharedLanguages) {
+            // Without a language in common the pair can't really teach each other
+            score = sharedLanguages.length > 0 ? score + 10 : score * 0.5;
+        }
+
+        const sharedFormats = this.getSharedTeachingFormats(currentUser, otherUser.user);
+        if (sharedFormats) {
+            score = sharedFormats.length > 0 ? score + 5 : score * 0.8;
+        }
+
+        // 0-100 from the profile completeness engine, when the caller has it. An empty
+        // profile keeps half its score, so a good skill match still shows up, just lower.
+        if (typeof otherUser.profileCompleteness === "number") {
+            score *= 0.5 + otherUser.profileCompleteness / 200;
+        }
+
         return Math.min(score, 100);
     }
 
+    // Languages both speak at conversational level or better, null when either side listed none
+    getSharedLanguages(languages = [], otherLanguages = []) {
+        if (!languages?.length || !otherLanguages?.length) return null;
+
+        const usable = (language) => FLUENCY_LEVELS.indexOf(language.fluency) >= FLUENCY_LEVELS.indexOf("conversational");
+        const codes = new Set(languages.filter(usable).map((language) => language.code));
+        return otherLanguages.filter((language) => usable(language) && codes.has(language.code)).map((language) => language.code);
+    }
+
+    // Formats both accept; in-person only counts when they live in the same city
+    getSharedTeachingFormats(currentUser, otherUser) {
+        if (!currentUser?.teachingFormats?.length || !otherUser?.teachingFormats?.length) return null;
+
+        const sameCity = !!currentUser.address?.city && currentUser.address.city === otherUser.address?.city;
+        return currentUser.teachingFormats.filter(
+            (format) => otherUser.teachingFormats.includes(format) && (format !== TEACHING_FORMATS.IN_PERSON || sameCity)
+        );
+    }
+
     getRecommendationText(score) {
         if (score >= 80) return "Excellent match! Highly recommended.";
         if (score >= 60) return "Great match! Good skill alignment.";
@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import { ApiKeyModel } from "../models/apiKey.model.js";
+
+const KEY_PREFIX = "snk_";
+
+// Methods a read-only key may call
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+export const hashApiKey = (rawKey) => crypto.createHash("sha256").update(rawKey).digest("hex");
+
+// Returns the raw key (shown to the user once) along with the stored document
+export const createApiKey = async (userId, { name, scope, expiresInDays }) => {
+    const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await ApiKeyModel.create({
+        userId,
+        name,
+        scope,
+        prefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+        keyHash: hashApiKey(rawKey),
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    });
+
+    return { rawKey, apiKey };
+};
+
+// Returns the active key document for a raw key, or null
+export const findActiveApiKey = async (rawKey) => {
+    if (!rawKey?.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKeyModel.findOne({
+        keyHash: hashApiKey(rawKey),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+
+    if (apiKey) {
+        // Fire and forget, a lost lastUsedAt update isn't worth failing the request
+        ApiKeyModel.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch((error) => {
+            console.error("Error updating API key usage:", error);
+        });
+    }
+
+    return apiKey;
+};
+
+export const isMethodAllowedForScope = (scope, method) => {
+    return scope === "read-write" || READ_METHODS.includes(method);
+};
+
+export default {
+    hashApiKey,
+    createApiKey,
+    findActiveApiKey,
+    isMethodAllowedForScope,
+};
@@ -0,0 +1,21 @@
+import { AuditEventModel } from "../models/auditEvent.model.js";
+
+// Fire-and-forget: a failed audit write is logged but never fails the request it describes.
+// Pass `req` to capture ip/user agent, and the impersonating admin as actor when there is one.
+export const recordAuditEvent = (type, { userId = null, actorId, req, metadata = {} } = {}) => {
+    return AuditEventModel.create({
+        type,
+        userId,
+        actorId: actorId ?? req?.impersonator?._id ?? null,
+        ip: req?.ip || "",
+        userAgent: req?.get?.("User-Agent") || "",
+        metadata,
+    }).catch((error) => {
+        console.error(`Error recording audit event "${type}":`, error);
+        return null;
+    });
+};
+
+export default {
+    recordAuditEvent,
+};
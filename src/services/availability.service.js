@@ -0,0 +1,194 @@
+// Weekly schedules are stored as local wall-clock times in the user's IANA timezone and only
+// turned into real instants for a concrete window, so DST changes and exceptions fall out naturally.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(
+            timezone,
+            new Intl.DateTimeFormat("en-US", {
+                timeZone: timezone,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                second: "2-digit",
+            })
+        );
+    }
+    return formatters.get(timezone);
+};
+
+export const isValidTimezone = (timezone) => {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const getZonedParts = (timezone, timestamp) => {
+    const parts = getFormatter(timezone).formatToParts(new Date(timestamp));
+    return Object.fromEntries(parts.map(({ type, value }) => [type, Number(value)]));
+};
+
+// How far `timezone` is ahead of UTC at `timestamp`, in ms
+const getTimezoneOffset = (timezone, timestamp) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(timezone, timestamp);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(timestamp / 1000) * 1000;
+};
+
+// "YYYY-MM-DD" for the calendar day `timestamp` falls on in `timezone`
+const getLocalDate = (timezone, timestamp) => {
+    const { year, month, day } = getZonedParts(timezone, timestamp);
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+};
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+
+const getDayOfWeek = (date) => new Date(Date.parse(date)).getUTCDay();
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+// Local "minutes after midnight" on `date` in `timezone` to a UTC timestamp
+const zonedToUtc = (date, minutes, timezone) => {
+    const wallClock = Date.parse(date) + minutes * MINUTE;
+    const guess = wallClock - getTimezoneOffset(timezone, wallClock);
+    // Second pass in case a DST change sits between the wall-clock time and the real instant
+    return wallClock - getTimezoneOffset(timezone, guess);
+};
+
+const mergeIntervals = (intervals) => {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [start, end] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+    return merged;
+};
+
+// Both lists must be sorted and non-overlapping, as mergeIntervals() returns them
+const intersectIntervals = (a, b) => {
+    const overlap = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        const start = Math.max(a[i][0], b[j][0]);
+        const end = Math.min(a[i][1], b[j][1]);
+        if (start < end) overlap.push([start, end]);
+
+        if (a[i][1] < b[j][1]) i++;
+        else j++;
+    }
+    return overlap;
+};
+
+const sumMinutes = (intervals) => intervals.reduce((total, [start, end]) => total + (end - start) / MINUTE, 0);
+
+export const hasAvailability = (availability) => {
+    return availability?.slots?.length > 0 || !!availability?.exceptions?.some((exception) => exception.slots.length > 0);
+};
+
+// Free time as sorted [start, end) UTC timestamps between `from` and `to`, with exceptions applied
+export const getAvailabilityIntervals = (availability, from, to) => {
+    const { timezone = "UTC", slots = [], exceptions = [] } = availability || {};
+    if (!isValidTimezone(timezone)) return [];
+
+    const exceptionSlots = new Map(exceptions.map((exception) => [exception.date, exception.slots]));
+    const intervals = [];
+
+    // A day of margin on both ends covers every possible offset from UTC
+    const lastDate = addDays(getLocalDate(timezone, to), 1);
+    for (let date = addDays(getLocalDate(timezone, from), -1); date <= lastDate; date = addDays(date, 1)) {
+        const daySlots = exceptionSlots.get(date) ?? slots.filter((slot) => slot.day === getDayOfWeek(date));
+
+        for (const slot of daySlots) {
+            const start = Math.max(zonedToUtc(date, toMinutes(slot.start), timezone), from);
+            const end = Math.min(zonedToUtc(date, toMinutes(slot.end), timezone), to);
+            if (start < end) intervals.push([start, end]);
+        }
+    }
+
+    return mergeIntervals(intervals);
+};
+
+// When both users are free over the next `days` days
+export const computeOverlap = (availability, otherAvailability, { from = Date.now(), days = 7 } = {}) => {
+    const to = from + days * DAY;
+    const overlap = intersectIntervals(
+        getAvailabilityIntervals(availability, from, to),
+        getAvailabilityIntervals(otherAvailability, from, to)
+    );
+
+    return {
+        from: new Date(from),
+        to: new Date(to),
+        totalMinutes: sumMinutes(overlap),
+        intervals: overlap.map(([start, end]) => ({ start: new Date(start), end: new Date(end) })),
+    };
+};
+
+// ===== WEEKLY UTC RANGES =====
+
+// Minutes in a week, and a Sunday 00:00 UTC to count minutes-of-week from
+const WEEK_MINUTES = 7 * 24 * 60;
+const WEEK_ORIGIN = Date.UTC(1970, 0, 4);
+
+// The weekly slots (exceptions left out) as sorted, non-overlapping [start, end) minute-of-week
+// ranges in UTC, using this week's offsets. Stored on the user so discovery can filter on
+// overlap inside MongoDB; a DST change shifts them by an hour until the schedule is saved again.
+export const toWeeklyUtcRanges = (availability, now = Date.now()) => {
+    const weekStart = now - ((now - WEEK_ORIGIN) % (WEEK_MINUTES * MINUTE));
+    const intervals = getAvailabilityIntervals(
+        { timezone: availability?.timezone, slots: availability?.slots || [], exceptions: [] },
+        weekStart,
+        weekStart + WEEK_MINUTES * MINUTE
+    );
+
+    // Slots crossing the week boundary are clipped into two pieces, one at each end of the week
+    const ranges = intervals.map(([start, end]) => [(start - weekStart) / MINUTE, (end - weekStart) / MINUTE]);
+    return mergeIntervals(ranges).map(([start, end]) => ({ start, end }));
+};
+
+// Aggregation expression for how many minutes of the ranges at `path` overlap `ranges`.
+// Both sides are non-overlapping, so summing every pairwise intersection is exact.
+export const weeklyOverlapMinutesExpression = (ranges, path) => ({
+    $reduce: {
+        input: { $ifNull: [`$${path}`, []] },
+        initialValue: 0,
+        in: {
+            $add: [
+                "$$value",
+                {
+                    $sum: ranges.map(({ start, end }) => ({
+                        $max: [0, { $subtract: [{ $min: ["$$this.end", end] }, { $max: ["$$this.start", start] }] }],
+                    })),
+                },
+            ],
+        },
+    },
+});
+
+export default {
+    isValidTimezone,
+    hasAvailability,
+    getAvailabilityIntervals,
+    computeOverlap,
+    toWeeklyUtcRanges,
+    weeklyOverlapMinutesExpression,
+};
@@ -0,0 +1,73 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { ApiError } from "../utils/ApiError.js";
+import { deleteFiles, getStorage } from "./storage.service.js";
+
+// Square WebP renditions, `medium` is what profileImage points at
+export const AVATAR_SIZES = {
+    small: 64,
+    medium: 256,
+    large: 512,
+};
+
+// Formats we decode, checked on the file content rather than the client's mimetype
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp", "gif"];
+
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+export const processAvatar = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        throw new ApiError(400, "The uploaded file is not a valid image");
+    }
+
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+        throw new ApiError(400, "Avatar must be a JPEG, PNG, WebP or GIF image");
+    }
+
+    // rotate() applies the EXIF orientation, EXIF (with GPS data and the like) is not copied over
+    return Promise.all(
+        Object.entries(AVATAR_SIZES).map(async ([name, size]) => ({
+            name,
+            buffer: await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize(size, size, { fit: "cover", position: "attention" })
+                .webp({ quality: 82 })
+                .toBuffer(),
+        }))
+    );
+};
+
+// Stores every rendition under a fresh name (so caches never show a stale avatar) and
+// returns { urls: { small, medium, large }, keys }
+export const storeAvatar = async (userId, buffer) => {
+    const renditions = await processAvatar(buffer);
+    const storage = getStorage();
+    const version = crypto.randomBytes(8).toString("hex");
+
+    const urls = {};
+    const keys = [];
+    try {
+        for (const { name, buffer: image } of renditions) {
+            const key = `avatars/${userId}/${version}-${name}.webp`;
+            urls[name] = await storage.put(key, image, "image/webp");
+            keys.push(key);
+        }
+    } catch (error) {
+        await deleteFiles(keys);
+        throw error;
+    }
+
+    return { urls, keys };
+};
+
+export const deleteAvatarFiles = (avatar) => deleteFiles(avatar?.keys || []);
+
+export default {
+    AVATAR_SIZES,
+    processAvatar,
+    storeAvatar,
+    deleteAvatarFiles,
+};
@@ -0,0 +1,47 @@
+import { UserBlockModel } from "../models/userBlock.model.js";
+
+// True when either user has blocked the other
+export const isBlockedBetween = async (userId, otherUserId) => {
+    const block = await UserBlockModel.exists({
+        type: "block",
+        $or: [
+            { blocker: userId, blocked: otherUserId },
+            { blocker: otherUserId, blocked: userId },
+        ],
+    });
+    return !!block;
+};
+
+// Everyone the user blocked or was blocked by, to leave out of discovery and matching
+export const getBlockedUserIds = async (userId) => {
+    const blocks = await UserBlockModel.find({
+        type: "block",
+        $or: [{ blocker: userId }, { blocked: userId }],
+    })
+        .select("blocker blocked")
+        .lean();
+
+    return blocks.map((block) => (block.blocker.toString() === userId.toString() ? block.blocked : block.blocker));
+};
+
+// Ids to exclude from "other users" queries: the user themselves plus blocks in either direction
+export const getHiddenUserIds = async (userId) => [userId, ...(await getBlockedUserIds(userId))];
+
+// Notifications caused by `fromUserId` are dropped when the recipient muted or blocked them,
+// or when they blocked the recipient
+export const isNotificationSuppressed = async (recipientId, fromUserId) => {
+    const entry = await UserBlockModel.exists({
+        $or: [
+            { blocker: recipientId, blocked: fromUserId },
+            { blocker: fromUserId, blocked: recipientId, type: "block" },
+        ],
+    });
+    return !!entry;
+};
+
+export default {
+    isBlockedBetween,
+    getBlockedUserIds,
+    getHiddenUserIds,
+    isNotificationSuppressed,
+};
@@ -0,0 +1,169 @@
+import mongoose from "mongoose";
+import { FeedActivityModel } from "../models/feedActivity.model.js";
+import { UserFollowModel } from "../models/userFollow.model.js";
+import { getBlockedUserIds } from "./block.service.js";
+
+// Fire-and-forget like audit events: the feed is a nice-to-have and never fails the action itself
+export const recordFeedActivity = (type, { actor, skill = null, trade = null, review = null }) => {
+    return FeedActivityModel.create({ type, actor, skill, trade, review }).catch((error) => {
+        console.error(`Error recording feed activity "${type}":`, error);
+        return null;
+    });
+};
+
+export const getFollowCounts = async (userId) => {
+    const [followers, following] = await Promise.all([
+        UserFollowModel.countDocuments({ following: userId, type: "follow" }),
+        UserFollowModel.countDocuments({ follower: userId, type: "follow" }),
+    ]);
+    return { followers, following };
+};
+
+// ===== CURSOR =====
+
+// Opaque to clients: base64url of "<createdAt ISO>_<id>" of the last item on the page
+export const encodeFeedCursor = (activity) => {
+    return Buffer.from(`${activity.createdAt.toISOString()}_${activity._id}`).toString("base64url");
+};
+
+// Null when the cursor wasn't produced by encodeFeedCursor()
+export const decodeFeedCursor = (cursor) => {
+    const [createdAt, id] = Buffer.from(cursor, "base64url").toString().split("_");
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+};
+
+// ===== FEED =====
+
+const populateActivity = (query) => {
+    return query
+        .populate("actor", "name profileImage deletedAt")
+        .populate("skill", "name proficiencyLevel description categories")
+        .populate({
+            path: "trade",
+            select: "sender receiver senderOfferedSkill receiverOfferedSkill status updatedAt",
+            populate: [
+                { path: "sender", select: "name profileImage" },
+                { path: "receiver", select: "name profileImage" },
+                { path: "senderOfferedSkill", select: "name" },
+                { path: "receiverOfferedSkill", select: "name" },
+            ],
+        })
+        .populate({
+            path: "review",
+            select: "reviewer rating review skillReviewed hidden createdAt",
+            populate: [
+                { path: "reviewer", select: "name profileImage" },
+                { path: "skillReviewed", select: "name" },
+            ],
+        });
+};
+
+// Activity that still makes sense to show, shaped for the client
+const toFeedItem = (activity, blocked) => {
+    const { actor, skill, trade, review } = activity;
+    if (!actor || actor.deletedAt) return null;
+
+    const item = {
+        id: activity._id,
+        type: activity.type,
+        createdAt: activity.createdAt,
+        actor: { _id: actor._id, name: actor.name, profileImage: actor.profileImage },
+    };
+
+    if (activity.type === "skill-offered") {
+        if (!skill) return null;
+        return { ...item, skill };
+    }
+
+    if (activity.type === "trade-completed") {
+        if (!trade || trade.status !== "completed") return null;
+
+        const isSender = trade.sender?._id.toString() === actor._id.toString();
+        const partner = isSender ? trade.receiver : trade.sender;
+        return {
+            ...item,
+            trade: {
+                _id: trade._id,
+                // Someone the viewer blocked is left anonymous
+                partner: partner && !blocked.has(partner._id.toString()) ? partner : null,
+                taught: (isSender ? trade.senderOfferedSkill : trade.receiverOfferedSkill)?.name,
+                learned: (isSender ? trade.receiverOfferedSkill : trade.senderOfferedSkill)?.name,
+            },
+        };
+    }
+
+    if (activity.type === "review-received") {
+        if (!review || review.hidden) return null;
+        return {
+            ...item,
+            review: {
+                _id: review._id,
+                rating: review.rating,
+                review: review.review,
+                skillReviewed: review.skillReviewed?.name,
+                reviewer: review.reviewer && !blocked.has(review.reviewer._id.toString()) ? review.reviewer : null,
+            },
+        };
+    }
+
+    return null;
+};
+
+// Newest activity of everyone `userId` follows. `cursor` comes from the previous page's nextCursor.
+// Entries that no longer apply are dropped, so a page can hold fewer than `limit` items.
+export const getFeed = async (userId, { cursor = null, limit = 20 } = {}) => {
+    const [follows, blockedIds] = await Promise.all([
+        UserFollowModel.find({ follower: userId, type: "follow" }).select("following").lean(),
+        getBlockedUserIds(userId),
+    ]);
+
+    const blocked = new Set(blockedIds.map((id) => id.toString()));
+    const actorIds = follows.map((follow) => follow.following).filter((id) => !blocked.has(id.toString()));
+
+    if (actorIds.length === 0) {
+        return { items: [], nextCursor: null };
+    }
+
+    const filter = { actor: { $in: actorIds } };
+    if (cursor) {
+        filter.$or = [
+            { createdAt: { $lt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+        ];
+    }
+
+    const activities = await populateActivity(
+        FeedActivityModel.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1)
+    ).lean();
+
+    const hasMore = activities.length > limit;
+    const page = activities.slice(0, limit);
+
+    // Both sides of a trade may be followed, the trade is shown once per page
+    const seenTrades = new Set();
+    const items = page
+        .map((activity) => toFeedItem(activity, blocked))
+        .filter((item) => {
+            if (!item) return false;
+            if (!item.trade) return true;
+            if (seenTrades.has(item.trade._id.toString())) return false;
+            seenTrades.add(item.trade._id.toString());
+            return true;
+        });
+
+    return {
+        items,
+        nextCursor: hasMore ? encodeFeedCursor(page[page.length - 1]) : null,
+    };
+};
+
+export default {
+    recordFeedActivity,
+    getFollowCounts,
+    encodeFeedCursor,
+    decodeFeedCursor,
+    getFeed,
+};
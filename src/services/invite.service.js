@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import { InviteCodeModel } from "../models/inviteCode.model.js";
+
+// Closed beta: with INVITE_ONLY=true every new account, password or OIDC, needs a valid code
+export const isInviteRequired = () => process.env.INVITE_ONLY === "true";
+
+// Without 0/O and 1/I so codes can be read out loud or copied from a slide
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const generateCode = (length = 8) => {
+    const bytes = crypto.randomBytes(length);
+    return Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+};
+
+export const createInviteCode = async (createdBy, { maxUses, expiresInDays, label = "" }) => {
+    return InviteCodeModel.create({
+        code: generateCode(),
+        createdBy,
+        label,
+        maxUses,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    });
+};
+
+const usableFilter = (now = new Date()) => ({
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    $expr: { $lt: ["$uses", "$maxUses"] },
+});
+
+export const findUsableInviteCode = (code) => {
+    return InviteCodeModel.findOne({ code: code.trim().toUpperCase(), ...usableFilter() });
+};
+
+// Takes one use in a single update, so two signups can never both get the last seat.
+// Returns the code or null when it is unknown, expired, revoked or used up.
+export const redeemInviteCode = (code) => {
+    return InviteCodeModel.findOneAndUpdate(
+        { code: code.trim().toUpperCase(), ...usableFilter() },
+        { $inc: { uses: 1 } },
+        { new: true }
+    );
+};
+
+// Gives the use back when the signup failed after redeeming
+export const releaseInviteCode = (inviteCodeId) => {
+    return InviteCodeModel.updateOne({ _id: inviteCodeId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+};
+
+export default {
+    isInviteRequired,
+    createInviteCode,
+    findUsableInviteCode,
+    redeemInviteCode,
+    releaseInviteCode,
+};
@@ -0,0 +1,104 @@
+import { LoginAttemptModel } from "../models/loginAttempt.model.js";
+
+const MINUTE = 60 * 1000;
+
+const config = {
+    // Failures allowed before each attempt has to wait
+    freeAttempts: Number(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    maxDelayMs: Number(process.env.LOGIN_MAX_DELAY_SECONDS || 60) * 1000,
+    accountLockThreshold: Number(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10,
+    ipLockThreshold: Number(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50,
+    lockDurationMs: Number(process.env.LOGIN_LOCK_MINUTES || 15) * MINUTE,
+    // How long a counter survives without new failures
+    windowMs: 24 * 60 * MINUTE,
+};
+
+const accountKey = (email) => `account:${email.trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// 1s, 2s, 4s, ... after the free attempts are used up
+const delayFor = (failures) => {
+    if (failures < config.freeAttempts) return 0;
+    return Math.min(1000 * 2 ** (failures - config.freeAttempts), config.maxDelayMs);
+};
+
+const blockFor = (attempt, now) => {
+    if (!attempt) return null;
+
+    if (attempt.lockedUntil && attempt.lockedUntil > now) {
+        return { locked: true, retryAfterMs: attempt.lockedUntil - now };
+    }
+
+    const nextAllowedAt = attempt.lastFailedAt?.getTime() + delayFor(attempt.failures);
+    if (nextAllowedAt > now) {
+        return { locked: false, retryAfterMs: nextAllowedAt - now };
+    }
+
+    return null;
+};
+
+// Returns { locked, retryAfterSeconds } when this login must be refused, otherwise null
+export const getLoginBlock = async (email, ip) => {
+    const now = Date.now();
+    const attempts = await LoginAttemptModel.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+    const blocks = attempts.map((attempt) => blockFor(attempt, now)).filter(Boolean);
+    if (blocks.length === 0) return null;
+
+    const longest = blocks.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a));
+    return {
+        locked: blocks.some((block) => block.locked),
+        retryAfterSeconds: Math.ceil(longest.retryAfterMs / 1000),
+    };
+};
+
+const bumpFailures = async (key, threshold) => {
+    const now = new Date();
+
+    const attempt = await LoginAttemptModel.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failures: 1 },
+            $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + config.windowMs) },
+        },
+        { upsert: true, new: true }
+    );
+
+    // Lock exactly once when the threshold is crossed, repeated failures while locked don't extend it
+    if (attempt.failures >= threshold && !(attempt.lockedUntil > now)) {
+        const locked = await LoginAttemptModel.findOneAndUpdate(
+            { _id: attempt._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+            { lockedUntil: new Date(now.getTime() + config.lockDurationMs), failures: 0 },
+            { new: true }
+        );
+        return !!locked;
+    }
+
+    return false;
+};
+
+// Returns true when this failure has just locked the account
+export const recordLoginFailure = async (email, ip) => {
+    const [accountLocked] = await Promise.all([
+        bumpFailures(accountKey(email), config.accountLockThreshold),
+        bumpFailures(ipKey(ip), config.ipLockThreshold),
+    ]);
+
+    return accountLocked;
+};
+
+export const isAccountLocked = (email) => {
+    return LoginAttemptModel.exists({ key: accountKey(email), lockedUntil: { $gt: new Date() } });
+};
+
+// Successful logins and email unlocks wipe the account counter (but not the IP one)
+export const clearAccountFailures = (email) => {
+    return LoginAttemptModel.deleteOne({ key: accountKey(email) });
+};
+
+export default {
+    getLoginBlock,
+    recordLoginFailure,
+    isAccountLocked,
+    clearAccountFailures,
+};
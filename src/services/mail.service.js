@@ -0,0 +1,133 @@
+import fs from "fs/promises";
+import path from "path";
+import { getApiUrl, getClientUrl } from "../utils/helpers.js";
+
+// ===== TRANSPORTS =====
+// A transport is any object with an async `send(mail)` method.
+// Pick one with MAIL_TRANSPORT (defaults to "console") or register your own.
+
+const consoleTransport = {
+    async send(mail) {
+        console.log("\n" + "═".repeat(60));
+        console.log(`✉️  MAIL - ${new Date().toISOString()}`);
+        console.log("═".repeat(60));
+        console.log(`│ To:        ${mail.to}`);
+        console.log(`│ Subject:   ${mail.subject}`);
+        console.log(`│ Body:      ${mail.text.split("\n").join("\n│            ")}`);
+        console.log("═".repeat(60) + "\n");
+    },
+};
+
+// Writes every mail as a JSON file, handy for clicking links during local dev
+const fileTransport = {
+    async send(mail) {
+        const dir = process.env.MAIL_FILE_DIR || "./mails";
+        await fs.mkdir(dir, { recursive: true });
+
+        const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9.@_-]/g, "_")}.json`;
+        await fs.writeFile(
+            path.join(dir, fileName),
+            JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+        );
+    },
+};
+
+const transports = new Map([
+    ["console", consoleTransport],
+    ["file", fileTransport],
+]);
+
+export const registerMailTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== "function") {
+        throw new Error(`Mail transport "${name}" must implement send(mail)`);
+    }
+    transports.set(name, transport);
+};
+
+const getTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const transport = transports.get(name);
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+    const mail = {
+        from: process.env.MAIL_FROM || "Skill Nexus <no-reply@skillnexus.local>",
+        to,
+        subject,
+        text,
+        html: html || text,
+    };
+
+    try {
+        await getTransport().send(mail);
+        return true;
+    } catch (error) {
+        console.error("Error sending mail:", error);
+        return false;
+    }
+};
+
+// ===== TEMPLATES =====
+
+export const sendVerificationEmail = (user, token, email = user.email) => {
+    const link = `${getApiUrl()}/auth/verify-email/${token}`;
+
+    return sendMail({
+        to: email,
+        subject: "Verify your Skill Nexus email",
+        text: `Hi ${user.name},\n\nConfirm your email address by opening the link below:\n${link}\n\nIf you didn't request this, you can ignore this email.`,
+    });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+    const link = `${getClientUrl()}/reset-password?token=${token}`;
+
+    return sendMail({
+        to: user.email,
+        subject: "Reset your Skill Nexus password",
+        text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. Open the link below to choose a new one:\n${link}\n\nThe link can be used once and expires soon. If you didn't request this, you can ignore this email.`,
+    });
+};
+
+export const sendAccountLockedEmail = (user, token) => {
+    const link = `${getApiUrl()}/auth/unlock/${token}`;
+
+    return sendMail({
+        to: user.email,
+        subject: "Your Skill Nexus account has been locked",
+        text: `Hi ${user.name},\n\nWe temporarily locked your account after too many failed login attempts. It will unlock on its own shortly, or you can unlock it right away with the link below:\n${link}\n\nIf these attempts weren't you, consider changing your password once you're back in.`,
+    });
+};
+
+export const sendMagicLinkEmail = (user, token) => {
+    const link = `${getClientUrl()}/magic-link?token=${token}`;
+
+    return sendMail({
+        to: user.email,
+        subject: "Your Skill Nexus login link",
+        text: `Hi ${user.name},\n\nUse the link below to log in. It works once and expires in a few minutes:\n${link}\n\nIf you didn't ask to log in, you can ignore this email.`,
+    });
+};
+
+export const sendAccountDeletionScheduledEmail = (user, scheduledFor) => {
+    return sendMail({
+        to: user.email,
+        subject: "Your Skill Nexus account is scheduled for deletion",
+        text: `Hi ${user.name},\n\nYour account and personal data will be deleted on ${scheduledFor.toUTCString()}.\nChanged your mind? Log in and cancel the deletion from your account settings before then.\n\nYou can still download a copy of your data until the account is deleted.`,
+    });
+};
+
+export default {
+    registerMailTransport,
+    sendMail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountLockedEmail,
+    sendMagicLinkEmail,
+    sendAccountDeletionScheduledEmail,
+};
@@ -0,0 +1,36 @@
+import { User } from "../models/user.model.js";
+import { ReviewModel } from "../models/review.model.js";
+import { recordAuditEvent } from "./audit.service.js";
+import { updateUserRating } from "./profile.service.js";
+import { sendNotificationToUser, NOTIFICATION_EVENTS } from "./socket.service.js";
+
+export const warnUser = async (userId, { reason, reportId, issuedBy, req }) => {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $push: { warnings: { reason, report: reportId, issuedBy } } },
+        { new: true }
+    );
+    if (!user) return null;
+
+    recordAuditEvent("account-warned", { userId, actorId: issuedBy, req, metadata: { reason, reportId } });
+
+    sendNotificationToUser(userId, NOTIFICATION_EVENTS.ACCOUNT_WARNING, {
+        reason,
+        totalWarnings: user.warnings.length,
+    });
+
+    return user;
+};
+
+export const hideReview = async (reviewId) => {
+    const review = await ReviewModel.findByIdAndUpdate(reviewId, { hidden: true }, { new: true });
+    if (review) {
+        await updateUserRating(review.reviewee);
+    }
+    return review;
+};
+
+export default {
+    warnUser,
+    hideReview,
+};
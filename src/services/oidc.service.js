@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Generic OpenID Connect authorization-code flow (with PKCE).
+// Providers are configured through env, e.g. for OIDC_PROVIDERS=google,mock:
+//   OIDC_GOOGLE_ISSUER, OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET, OIDC_GOOGLE_SCOPE (optional)
+// Any issuer that serves /.well-known/openid-configuration works, including a local mock IdP.
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+export const getProviders = () => {
+    return (process.env.OIDC_PROVIDERS || "")
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map((name) => {
+            const prefix = `OIDC_${name.toUpperCase()}_`;
+            return {
+                name,
+                issuer: process.env[`${prefix}ISSUER`]?.replace(/\/$/, ""),
+                clientId: process.env[`${prefix}CLIENT_ID`],
+                clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+                scope: process.env[`${prefix}SCOPE`] || "openid email profile",
+            };
+        })
+        .filter((provider) => provider.issuer && provider.clientId);
+};
+
+export const getProvider = (name) => {
+    return getProviders().find((provider) => provider.name === name?.toLowerCase()) || null;
+};
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(body.error_description || body.error || `Request to ${url} failed with ${response.status}`);
+    }
+    return body;
+};
+
+const getDiscovery = async (provider) => {
+    if (!discoveryCache.has(provider.issuer)) {
+        const discovery = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+        discoveryCache.set(provider.issuer, discovery);
+    }
+    return discoveryCache.get(provider.issuer);
+};
+
+const getSigningKey = async (provider, kid) => {
+    const discovery = await getDiscovery(provider);
+
+    const findKey = () => jwksCache.get(discovery.jwks_uri)?.find((key) => !kid || key.kid === kid);
+
+    // Refetch once when the key is unknown, the IdP may have rotated its keys
+    if (!findKey()) {
+        const { keys = [] } = await fetchJson(discovery.jwks_uri);
+        jwksCache.set(discovery.jwks_uri, keys);
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+        throw new Error("No matching signing key found for the ID token");
+    }
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+// Random values for one login attempt, kept in the state cookie until the callback
+export const createAuthRequest = () => {
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    return {
+        state: crypto.randomBytes(16).toString("base64url"),
+        nonce: crypto.randomBytes(16).toString("base64url"),
+        codeVerifier,
+        codeChallenge: crypto.createHash("sha256").update(codeVerifier).digest("base64url"),
+    };
+};
+
+export const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge, redirectUri }) => {
+    const discovery = await getDiscovery(provider);
+
+    const params = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: redirectUri,
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+    });
+
+    return `${discovery.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange the code and return the verified ID token claims
+export const completeAuthorization = async (provider, { code, codeVerifier, nonce, redirectUri }) => {
+    const discovery = await getDiscovery(provider);
+
+    const tokens = await fetchJson(discovery.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret || "",
+            code_verifier: codeVerifier,
+        }),
+    });
+
+    if (!tokens.id_token) {
+        throw new Error("Identity provider did not return an ID token");
+    }
+
+    const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+    const key = await getSigningKey(provider, header?.kid);
+
+    const claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+        audience: provider.clientId,
+        issuer: discovery.issuer,
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error("ID token nonce mismatch");
+    }
+
+    // Some providers only put profile data on the userinfo endpoint
+    if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+        const userInfo = await fetchJson(discovery.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        if (userInfo.sub === claims.sub) {
+            return { ...userInfo, ...claims };
+        }
+    }
+
+    return claims;
+};
+
+export default {
+    getProviders,
+    getProvider,
+    createAuthRequest,
+    buildAuthorizationUrl,
+    completeAuthorization,
+};
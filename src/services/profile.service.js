@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { SkillProfileModel } from "../models/skillProfile.model.js";
+import { TradeRequestModel } from "../models/tradeRequest.model.js";
+import { ReviewModel } from "../models/review.model.js";
+import { RELATIONSHIPS, isFieldVisible } from "../constants/privacy.js";
+import { isBlockedBetween } from "./block.service.js";
+import { getFollowCounts } from "./feed.service.js";
+import { UserFollowModel } from "../models/userFollow.model.js";
+
+// Anyone you have an accepted or completed trade with counts as a trade partner
+const PARTNER_STATUSES = ["accepted", "completed"];
+
+export const isTradePartner = async (userId, otherUserId) => {
+    const trade = await TradeRequestModel.exists({
+        $or: [
+            { sender: userId, receiver: otherUserId },
+            { sender: otherUserId, receiver: userId },
+        ],
+        status: { $in: PARTNER_STATUSES },
+    });
+    return !!trade;
+};
+
+// Ids (as strings) of everyone the user has traded with, for privacy checks on lists
+export const getTradePartnerIds = async (userId) => {
+    const trades = await TradeRequestModel.find({
+        $or: [{ sender: userId }, { receiver: userId }],
+        status: { $in: PARTNER_STATUSES },
+    })
+        .select("sender receiver")
+        .lean();
+
+    return new Set(
+        trades.map((trade) => (trade.sender.toString() === userId.toString() ? trade.receiver : trade.sender).toString())
+    );
+};
+
+export const getRelationship = async (viewerId, ownerId) => {
+    if (viewerId.toString() === ownerId.toString()) return RELATIONSHIPS.SELF;
+    return (await isTradePartner(viewerId, ownerId)) ? RELATIONSHIPS.TRADE_PARTNER : RELATIONSHIPS.STRANGER;
+};
+
+// Copy of the user with the fields the viewer may not see removed. Works on documents and lean objects.
+export const applyPrivacy = (user, relationship) => {
+    const data = typeof user?.toObject === "function" ? user.toObject() : { ...user };
+    const { privacy } = data;
+
+    if (!isFieldVisible(privacy, "email", relationship)) delete data.email;
+    if (!isFieldVisible(privacy, "age", relationship)) delete data.age;
+    if (!isFieldVisible(privacy, "socialLinks", relationship)) delete data.socialLinks;
+    if (!isFieldVisible(privacy, "city", relationship) && data.address) {
+        data.address = { country: data.address.country };
+    }
+
+    // The settings themselves are only the owner's business
+    if (relationship !== RELATIONSHIPS.SELF) delete data.privacy;
+
+    return data;
+};
+
+export const getReviewStats = async (userId) => {
+    const [stats] = await ReviewModel.aggregate([
+        { $match: { reviewee: new mongoose.Types.ObjectId(userId), hidden: { $ne: true } } },
+        {
+            $group: {
+                _id: null,
+                count: { $sum: 1 },
+                average: { $avg: "$rating" },
+                ratings: { $push: "$rating" },
+            },
+        },
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    stats?.ratings.forEach((rating) => {
+        distribution[rating] += 1;
+    });
+
+    return {
+        count: stats?.count || 0,
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        distribution,
+    };
+};
+
+// Keeps the cached rating on the skill profile in line with the visible reviews
+export const updateUserRating = async (userId) => {
+    try {
+        const { average } = await getReviewStats(userId);
+        await SkillProfileModel.findOneAndUpdate({ userId }, { rating: average });
+    } catch (error) {
+        console.error("Error updating user rating:", error);
+    }
+};
+
+// Everything another member sees when opening a profile. Null when the user doesn't exist (anymore).
+export const getPublicProfile = async (userId, viewerId) => {
+    const user = await User.findById(userId)
+        .select("name email age profileImage avatar.urls bio profession languages teachingFormats address socialLinks privacy availability.timezone isVerified createdAt deletedAt")
+        .lean();
+
+    if (!user || user.deletedAt) return null;
+
+    // Blocked users look like they don't exist to each other
+    if (user._id.toString() !== viewerId.toString() && (await isBlockedBetween(viewerId, user._id))) {
+        return null;
+    }
+
+    const [relationship, skillProfile, reviewStats, completedTrades, followCounts, viewerFollows] = await Promise.all([
+        getRelationship(viewerId, user._id),
+        SkillProfileModel.findOne({ userId: user._id })
+            .populate("offeredSkills", "name proficiencyLevel description categories")
+            .populate("requiredSkills", "name learningPriority description categories")
+            .lean(),
+        getReviewStats(user._id),
+        TradeRequestModel.countDocuments({
+            $or: [{ sender: user._id }, { receiver: user._id }],
+            status: "completed",
+        }),
+        getFollowCounts(user._id),
+        UserFollowModel.find({ follower: viewerId, following: user._id }).select("type").lean(),
+    ]);
+
+    const profile = applyPrivacy(user, relationship);
+    delete profile.deletedAt;
+
+    return {
+        relationship,
+        profile: {
+            ...profile,
+            skillProfileId: skillProfile?._id || null,
+            offeredSkills: skillProfile?.offeredSkills || [],
+            requiredSkills: skillProfile?.requiredSkills || [],
+            rating: skillProfile?.rating ?? 0,
+            totalExchanges: skillProfile?.totalExchanges ?? 0,
+            reviewStats,
+            completedTrades,
+            followers: followCounts.followers,
+            following: followCounts.following,
+        },
+        // How the viewer is connected to this member, for the follow/favourite buttons
+        isFollowing: viewerFollows.some((entry) => entry.type === "follow"),
+        isFavourite: viewerFollows.some((entry) => entry.type === "favourite"),
+    };
+};
+
+export default {
+    isTradePartner,
+    getTradePartnerIds,
+    getRelationship,
+    applyPrivacy,
+    getReviewStats,
+    updateUserRating,
+    getPublicProfile,
+};
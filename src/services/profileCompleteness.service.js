@@ -0,0 +1,112 @@
+import { User } from "../models/user.model.js";
+import { SkillProfileModel } from "../models/skillProfile.model.js";
+import { hasAvailability } from "./availability.service.js";
+
+// Every check scores 0..1 of its weight; weights add up to 100 so the total reads as a percentage.
+// `step` is what the onboarding checklist tells the user to do while the check isn't done.
+const MIN_BIO_LENGTH = 50;
+
+// Signup hands out a generated DiceBear avatar, which doesn't say anything about the person
+const hasOwnAvatar = (user) => {
+    if (user.avatar?.urls?.medium) return true;
+    return !!user.profileImage && !user.profileImage.includes("api.dicebear.com");
+};
+
+const isDescribed = (skill) => !!skill?.description?.trim() && skill.categories?.length > 0;
+
+export const COMPLETENESS_CHECKS = [
+    {
+        key: "bio",
+        weight: 15,
+        step: `Write a bio of at least ${MIN_BIO_LENGTH} characters`,
+        score: ({ user }) => Math.min((user.bio?.trim().length || 0) / MIN_BIO_LENGTH, 1),
+    },
+    {
+        key: "avatar",
+        weight: 15,
+        step: "Upload a profile picture",
+        score: ({ user }) => (hasOwnAvatar(user) ? 1 : 0),
+    },
+    {
+        key: "offeredSkills",
+        weight: 15,
+        step: "Add a skill you can teach",
+        score: ({ skillProfile }) => (skillProfile?.offeredSkills?.length > 0 ? 1 : 0),
+    },
+    {
+        key: "skillDetails",
+        weight: 15,
+        step: "Give each skill you teach a description and categories",
+        score: ({ skillProfile }) => {
+            const skills = skillProfile?.offeredSkills || [];
+            if (skills.length === 0) return 0;
+            return skills.filter(isDescribed).length / skills.length;
+        },
+    },
+    {
+        key: "requiredSkills",
+        weight: 10,
+        step: "Add a skill you want to learn",
+        score: ({ skillProfile }) => (skillProfile?.requiredSkills?.length > 0 ? 1 : 0),
+    },
+    {
+        key: "availability",
+        weight: 10,
+        step: "Set the hours you're available for sessions",
+        score: ({ user }) => (hasAvailability(user.availability) ? 1 : 0),
+    },
+    {
+        key: "socialLinks",
+        weight: 10,
+        step: "Add at least two social links (GitHub, LinkedIn, ...)",
+        score: ({ user }) => Math.min(Object.values(user.socialLinks || {}).filter(Boolean).length / 2, 1),
+    },
+    {
+        key: "languages",
+        weight: 5,
+        step: "List the languages you speak",
+        score: ({ user }) => (user.languages?.length > 0 ? 1 : 0),
+    },
+    {
+        key: "location",
+        weight: 5,
+        step: "Add your country and city",
+        score: ({ user }) => (user.address?.country && user.address?.city ? 1 : 0),
+    },
+];
+
+// Pure, so ranking can run it on users and skill profiles it already loaded.
+// `skillProfile` needs offeredSkills populated for the skill details check.
+export const evaluateProfileCompleteness = (user, skillProfile) => {
+    const checklist = COMPLETENESS_CHECKS.map(({ key, weight, step, score }) => {
+        const ratio = score({ user, skillProfile });
+        return {
+            key,
+            step,
+            weight,
+            points: Math.round(ratio * weight),
+            done: ratio >= 1,
+        };
+    });
+
+    return {
+        score: checklist.reduce((total, item) => total + item.points, 0),
+        checklist,
+    };
+};
+
+export const getProfileCompleteness = async (userId) => {
+    const [user, skillProfile] = await Promise.all([
+        User.findById(userId).lean(),
+        SkillProfileModel.findOne({ userId }).populate("offeredSkills", "description categories").lean(),
+    ]);
+    if (!user) return null;
+
+    return evaluateProfileCompleteness(user, skillProfile);
+};
+
+export default {
+    COMPLETENESS_CHECKS,
+    evaluateProfileCompleteness,
+    getProfileCompleteness,
+};
@@ -0,0 +1,103 @@
+import { User } from "../models/user.model.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { ApiError } from "../utils/ApiError.js";
+import { SanctionModel } from "../models/sanction.model.js";
+import { TradeRequestModel } from "../models/tradeRequest.model.js";
+import { revokeUserSessions } from "./session.service.js";
+import { recordAuditEvent } from "./audit.service.js";
+import { disconnectUser, sendNotificationToUser, NOTIFICATION_EVENTS } from "./socket.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Trades can't go on with someone who is locked out, their partners are told the trade is off
+const cancelOpenTrades = async (userId) => {
+    const trades = await TradeRequestModel.find({
+        $or: [{ sender: userId }, { receiver: userId }],
+        status: { $in: ["pending", "accepted"] },
+    }).select("sender receiver");
+
+    if (trades.length === 0) return 0;
+
+    await TradeRequestModel.updateMany({ _id: { $in: trades.map((trade) => trade._id) } }, { status: "rejected" });
+
+    for (const trade of trades) {
+        const partnerId = trade.sender.toString() === userId.toString() ? trade.receiver : trade.sender;
+        sendNotificationToUser(partnerId, NOTIFICATION_EVENTS.TRADE_REQUEST_CANCELLED, {
+            tradeId: trade._id,
+            reason: "The other member's account is no longer active",
+        });
+    }
+
+    return trades.length;
+};
+
+// kind "suspension" needs `days`, "ban" is permanent. Replaces whatever sanction was in force.
+export const applySanction = async (userId, { kind, reason, days, issuedBy, reportId = null, req }) => {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    // Admins lose their role first, so one admin can't silently lock out another
+    if (user.hasPermission(PERMISSIONS.USERS_BAN)) {
+        throw new ApiError(403, "Admins cannot be suspended or banned");
+    }
+
+    const until = kind === "suspension" ? new Date(Date.now() + days * DAY) : null;
+
+    const previous = user.getActiveSanction();
+    if (previous?.sanctionId) {
+        await SanctionModel.updateOne(
+            { _id: previous.sanctionId, liftedAt: null },
+            { liftedAt: new Date(), liftedBy: issuedBy, liftReason: `Replaced by a ${kind}` }
+        );
+    }
+
+    const sanction = await SanctionModel.create({ userId, kind, reason, until, issuedBy, report: reportId });
+
+    user.sanction = { kind, reason, until, sanctionId: sanction._id };
+    await user.save({ validateBeforeSave: false });
+
+    await revokeUserSessions(userId, "sanctioned");
+    disconnectUser(userId, kind === "ban" ? "Your account has been banned" : "Your account has been suspended");
+    const cancelledTrades = await cancelOpenTrades(userId);
+
+    recordAuditEvent(kind === "ban" ? "account-banned" : "account-suspended", {
+        userId,
+        actorId: issuedBy,
+        req,
+        metadata: { sanctionId: sanction._id, reason, until, reportId, cancelledTrades },
+    });
+
+    console.log(`⛔ ${kind} applied to user ${userId} by ${issuedBy}`);
+
+    return sanction;
+};
+
+// Ends the sanction in force early. Returns it, or null when there was none.
+export const liftSanction = async (userId, { liftedBy, reason = "", req }) => {
+    const user = await User.findById(userId);
+    const active = user?.getActiveSanction();
+    if (!active) return null;
+
+    const sanction = await SanctionModel.findOneAndUpdate(
+        { _id: active.sanctionId, liftedAt: null },
+        { liftedAt: new Date(), liftedBy, liftReason: reason },
+        { new: true }
+    );
+
+    user.sanction = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    recordAuditEvent("sanction-lifted", {
+        userId,
+        actorId: liftedBy,
+        req,
+        metadata: { sanctionId: active.sanctionId, kind: active.kind, reason },
+    });
+
+    return sanction;
+};
+
+export default {
+    applySanction,
+    liftSanction,
+};
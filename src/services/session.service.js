@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { SessionModel } from "../models/session.model.js";
+import { describeDevice } from "../utils/helpers.js";
+
+const requestDetails = (req) => {
+    const userAgent = req?.get?.("User-Agent") || "";
+    return {
+        device: req?.body?.deviceName || describeDevice(userAgent),
+        ip: req?.ip || "",
+        userAgent,
+    };
+};
+
+const expiryOf = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Start a new session (token family) and issue its first pair of tokens
+export const createSession = async (user, req) => {
+    const session = new SessionModel({
+        userId: user._id,
+        tokenId: crypto.randomUUID(),
+        ...requestDetails(req),
+    });
+
+    const accessToken = await user.generateAccessToken(session._id);
+    const refreshToken = await user.generateRefreshToken(session._id, session.tokenId);
+
+    session.expiresAt = expiryOf(refreshToken);
+    await session.save();
+
+    return { session, accessToken, refreshToken };
+};
+
+// Swap the presented refresh token for a new one. Returns null when the token
+// is not the latest of its family, in which case the whole family is revoked.
+export const rotateSession = async (user, decodedRefreshToken, req) => {
+    const { sid, jti } = decodedRefreshToken;
+    const nextTokenId = crypto.randomUUID();
+
+    // Matching on the current tokenId makes the swap atomic, so two concurrent
+    // refreshes with the same token can't both succeed
+    const session = await SessionModel.findOneAndUpdate(
+        { _id: sid, userId: user._id, tokenId: jti, revokedAt: null },
+        { tokenId: nextTokenId, lastUsedAt: new Date(), ip: req?.ip || "" },
+        { new: true }
+    );
+
+    if (!session) {
+        await revokeSession(sid, "reuse-detected");
+        return null;
+    }
+
+    const accessToken = await user.generateAccessToken(session._id);
+    const refreshToken = await user.generateRefreshToken(session._id, nextTokenId);
+
+    session.expiresAt = expiryOf(refreshToken);
+    await session.save();
+
+    return { session, accessToken, refreshToken };
+};
+
+export const isSessionActive = async (sessionId) => {
+    if (!sessionId) return false;
+
+    return SessionModel.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+export const getActiveSessions = (userId) => {
+    return SessionModel.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select("-tokenId")
+        .sort({ lastUsedAt: -1 });
+};
+
+export const revokeSession = async (sessionId, reason) => {
+    if (!sessionId) return;
+
+    return SessionModel.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+export const revokeUserSessions = (userId, reason, { exceptSessionId } = {}) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    return SessionModel.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+export default {
+    createSession,
+    rotateSession,
+    isSessionActive,
+    getActiveSessions,
+    revokeSession,
+    revokeUserSessions,
+};
@@ -1,5 +1,9 @@
 import { Server } from "socket.io";
+import mongoose from "mongoose";
 import { MessageModel } from "../models/chat.model.js";
+import { User } from "../models/user.model.js";
+import { authenticateAccessToken } from "../middlewares/auth.middleware.js";
+import { isBlockedBetween, isNotificationSuppressed } from "./block.service.js";
 
 let io;
 
@@ -21,6 +25,75 @@ const logNotification = (type, userId, data, delivered) => {
     console.log("═".repeat(60) + "\n");
 };
 
+const getHandshakeToken = (socket) => {
+    const { auth, headers } = socket.handshake;
+
+    if (auth?.token) return auth.token;
+
+    const bearer = headers.authorization?.replace("Bearer ", "");
+    if (bearer) return bearer;
+
+    const cookie = (headers.cookie || "")
+        .split(";")
+        .map((part) => part.trim())
+        .find((part) => part.startsWith("accessToken="));
+
+    return cookie ? decodeURIComponent(cookie.slice("accessToken=".length)) : null;
+};
+
+// Disconnect when the access token expires, unless auth:refresh pushed the deadline back
+const scheduleTokenExpiry = (socket, exp) => {
+    clearTimeout(socket.tokenExpiryTimer);
+    if (!exp) return;
+
+    // setTimeout overflows past ~24.8 days
+    const delay = Math.min(exp * 1000 - Date.now(), 2 ** 31 - 1);
+
+    socket.tokenExpiryTimer = setTimeout(() => {
+        socket.emit("auth:expired", { message: "Access token expired" });
+        socket.disconnect(true);
+    }, Math.max(delay, 0));
+};
+
+const sendUnreadSummary = async (socket) => {
+    const userIdStr = socket.userId;
+
+    try {
+        // Get unread message count
+        const unreadCount = await MessageModel.countDocuments({
+            receiver: userIdStr,
+            read: false,
+        });
+
+        if (unreadCount > 0) {
+            // Get details of who sent the messages
+            const unreadMessages = await MessageModel.aggregate([
+                { $match: { receiver: new mongoose.Types.ObjectId(userIdStr), read: false } },
+                { $group: { _id: "$sender", count: { $sum: 1 }, lastMessage: { $last: "$message" }, tradeId: { $last: "$tradeId" } } },
+                { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "senderInfo" } },
+                { $unwind: "$senderInfo" },
+                { $project: { senderId: "$_id", senderName: "$senderInfo.name", count: 1, lastMessage: 1, tradeId: 1 } }
+            ]);
+
+            // Send notification to user about unread messages
+            socket.emit("unread:messages", {
+                totalCount: unreadCount,
+                conversations: unreadMessages.map(m => ({
+                    senderId: m.senderId,
+                    senderName: m.senderName,
+                    count: m.count,
+                    lastMessage: m.lastMessage,
+                    tradeId: m.tradeId,
+                })),
+            });
+
+            console.log(`📨 Notified user ${userIdStr} about ${unreadCount} unread messages`);
+        }
+    } catch (error) {
+        console.error("Error checking unread messages:", error);
+    }
+};
+
 export const initializeSocket = (server) => {
     io = new Server(server, {
         cors: {
@@ -30,55 +103,58 @@ export const initializeSocket = (server) => {
         },
     });
 
+    // ===== HANDSHAKE AUTH =====
+    // Same token sources as verifyJwt: auth payload / Bearer header, or the accessToken cookie
+    io.use(async (socket, next) => {
+        try {
+            const { user, decodedAccessToken } = await authenticateAccessToken(getHandshakeToken(socket));
+
+            // Impersonation is read-only support tooling, it never gets a live chat connection
+            if (decodedAccessToken.imp) {
+                throw new Error("Impersonation tokens cannot open socket connections");
+            }
+
+            socket.user = user;
+            socket.userId = user._id.toString();
+            scheduleTokenExpiry(socket, decodedAccessToken.exp);
+            next();
+        } catch (error) {
+            console.log(`🔒 Socket ${socket.id} rejected: ${error.message}`);
+            next(new Error(error.message || "Unauthorized"));
+        }
+    });
+
     io.on("connection", (socket) => {
         console.log(`🔌 Socket connected: ${socket.id}`);
 
-        // User joins with their userId
-        socket.on("user:join", async (userId) => {
-            if (userId) {
-                // Always store userId as string for consistent lookup
-                const userIdStr = userId.toString();
-                userSockets.set(userIdStr, socket.id);
-                socket.userId = userIdStr;
-                console.log(`👤 User ${userIdStr} joined with socket ${socket.id}`);
-                console.log(`📊 Active users: ${userSockets.size}`);
-                console.log(`📊 User IDs in map: [${Array.from(userSockets.keys()).join(', ')}]`);
-
-                // ===== CHECK FOR UNREAD MESSAGES =====
-                try {
-                    // Get unread message count
-                    const unreadCount = await MessageModel.countDocuments({
-                        receiver: userIdStr,
-                        read: false,
-                    });
-
-                    if (unreadCount > 0) {
-                        // Get details of who sent the messages
-                        const unreadMessages = await MessageModel.aggregate([
-                            { $match: { receiver: new (await import('mongoose')).default.Types.ObjectId(userIdStr), read: false } },
-                            { $group: { _id: "$sender", count: { $sum: 1 }, lastMessage: { $last: "$message" }, tradeId: { $last: "$tradeId" } } },
-                            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "senderInfo" } },
-                            { $unwind: "$senderInfo" },
-                            { $project: { senderId: "$_id", senderName: "$senderInfo.name", count: 1, lastMessage: 1, tradeId: 1 } }
-                        ]);
-
-                        // Send notification to user about unread messages
-                        socket.emit("unread:messages", {
-                            totalCount: unreadCount,
-                            conversations: unreadMessages.map(m => ({
-                                senderId: m.senderId,
-                                senderName: m.senderName,
-                                count: m.count,
-                                lastMessage: m.lastMessage,
-                                tradeId: m.tradeId,
-                            })),
-                        });
-
-                        console.log(`📨 Notified user ${userIdStr} about ${unreadCount} unread messages`);
-                    }
-                } catch (error) {
-                    console.error("Error checking unread messages:", error);
+        const userIdStr = socket.userId;
+        userSockets.set(userIdStr, socket.id);
+        console.log(`👤 User ${userIdStr} joined with socket ${socket.id}`);
+        console.log(`📊 Active users: ${userSockets.size}`);
+        console.log(`📊 User IDs in map: [${Array.from(userSockets.keys()).join(', ')}]`);
+
+        sendUnreadSummary(socket);
+
+        // Kept for older clients: the identity now comes from the token, any id sent here is ignored
+        socket.on("user:join", () => {
+            userSockets.set(socket.userId, socket.id);
+            sendUnreadSummary(socket);
+        });
+
+        // Clients swap in a freshly refreshed access token before the current one expires
+        socket.on("auth:refresh", async (token, ack) => {
+            try {
+                const { user, decodedAccessToken } = await authenticateAccessToken(token);
+
+                if (user._id.toString() !== socket.userId || decodedAccessToken.imp) {
+                    throw new Error("Token belongs to a different user");
                 }
+
+                socket.user = user;
+                scheduleTokenExpiry(socket, decodedAccessToken.exp);
+                if (typeof ack === "function") ack({ success: true });
+            } catch (error) {
+                if (typeof ack === "function") ack({ success: false, message: error.message });
             }
         });
 
@@ -99,6 +175,18 @@ export const initializeSocket = (server) => {
             }
 
             try {
+                // Unverified accounts can read but not send messages
+                const sender = await User.findById(senderId).select("isVerified");
+                if (!sender?.isVerified) {
+                    socket.emit("chat:error", { message: "Please verify your email address to send messages" });
+                    return;
+                }
+
+                if (await isBlockedBetween(senderId, receiverId)) {
+                    socket.emit("chat:error", { message: "You can't message this user" });
+                    return;
+                }
+
                 // Save message to database
                 const savedMessage = await MessageModel.create({
                     sender: senderId,
@@ -167,8 +255,11 @@ export const initializeSocket = (server) => {
 
         // Handle disconnect
         socket.on("disconnect", () => {
-            if (socket.userId) {
-                userSockets.delete(socket.userId.toString());
+            clearTimeout(socket.tokenExpiryTimer);
+
+            // Only drop the mapping if a newer connection hasn't replaced it
+            if (socket.userId && userSockets.get(socket.userId) === socket.id) {
+                userSockets.delete(socket.userId);
                 console.log(`👤 User ${socket.userId} disconnected`);
                 console.log(`📊 Active users: ${userSockets.size}`);
                 console.log(`📊 Remaining users: [${Array.from(userSockets.keys()).join(', ')}]`);
@@ -193,8 +284,31 @@ export const getUserSocketId = (userId) => {
     return userSockets.get(userId.toString());
 };
 
-// Send notification to a specific user with logging
-export const sendNotificationToUser = (userId, event, data) => {
+// Drop a user's live connection, e.g. when their account is suspended
+export const disconnectUser = (userId, reason) => {
+    const socketId = getUserSocketId(userId);
+    const socket = socketId && io?.sockets.sockets.get(socketId);
+    if (!socket) return false;
+
+    socket.emit("auth:revoked", { message: reason });
+    socket.disconnect(true);
+    return true;
+};
+
+// Send notification to a specific user with logging. Pass `from` (the user who caused it)
+// so it is dropped when the recipient has muted or blocked them.
+export const sendNotificationToUser = async (userId, event, data, { from } = {}) => {
+    if (from) {
+        try {
+            if (await isNotificationSuppressed(userId, from)) {
+                console.log(`🔕 Notification ${event} from ${from} to ${userId} suppressed (muted/blocked)`);
+                return false;
+            }
+        } catch (error) {
+            console.error("Error checking notification mutes:", error);
+        }
+    }
+
     const socketId = getUserSocketId(userId);
     const delivered = !!(socketId && io);
     
@@ -216,14 +330,21 @@ export const NOTIFICATION_EVENTS = {
     TRADE_REQUEST_REJECTED: "notification:trade_request_rejected",
     TRADE_REQUEST_COMPLETED: "notification:trade_request_completed",
     TRADE_MARKED_COMPLETE: "notification:trade_marked_complete",
+    TRADE_REQUEST_CANCELLED: "notification:trade_request_cancelled",
     // Review Events
     REVIEW_RECEIVED: "notification:review_received",
+    // Social Events
+    NEW_FOLLOWER: "notification:new_follower",
+    // Moderation Events
+    REPORT_RESOLVED: "notification:report_resolved",
+    ACCOUNT_WARNING: "notification:account_warning",
 };
 
 export default {
     initializeSocket,
     getIO,
     getUserSocketId,
+    disconnectUser,
     sendNotificationToUser,
     NOTIFICATION_EVENTS,
 };
@@ -0,0 +1,114 @@
+import fs from "fs/promises";
+import path from "path";
+import { getApiUrl } from "../utils/helpers.js";
+
+// Where uploaded files live. A driver is { put(key, buffer, contentType) -> public URL, delete(key) },
+// keys look like "avatars/<userId>/<file>". Picked with STORAGE_DRIVER (local by default).
+
+export const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+// Local files are served by app.js under /uploads
+const getLocalPublicUrl = () => process.env.UPLOADS_PUBLIC_URL || `${new URL(getApiUrl()).origin}/uploads`;
+
+const localDriver = {
+    async put(key, buffer) {
+        const filePath = path.join(getUploadDir(), key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return `${getLocalPublicUrl()}/${key}`;
+    },
+    async delete(key) {
+        await fs.rm(path.join(getUploadDir(), key), { force: true });
+    },
+};
+
+// Any S3-compatible service (AWS, MinIO, R2, ...):
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT (non-AWS), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//   S3_PUBLIC_URL (bucket/CDN base URL files are served from)
+const createS3Driver = () => {
+    let clientPromise;
+
+    // The SDK is only loaded when this driver is actually used
+    const getClient = () => {
+        clientPromise ??= import("@aws-sdk/client-s3").then(({ S3Client, PutObjectCommand, DeleteObjectCommand }) => ({
+            client: new S3Client({
+                region: process.env.S3_REGION || "us-east-1",
+                endpoint: process.env.S3_ENDPOINT || undefined,
+                forcePathStyle: !!process.env.S3_ENDPOINT,
+                credentials: process.env.S3_ACCESS_KEY_ID
+                    ? {
+                        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                    }
+                    : undefined,
+            }),
+            PutObjectCommand,
+            DeleteObjectCommand,
+        }));
+        return clientPromise;
+    };
+
+    const publicUrl = () => {
+        if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/$/, "");
+        if (process.env.S3_ENDPOINT) return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${process.env.S3_BUCKET}`;
+        return `https://${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`;
+    };
+
+    return {
+        async put(key, buffer, contentType) {
+            const { client, PutObjectCommand } = await getClient();
+            await client.send(
+                new PutObjectCommand({
+                    Bucket: process.env.S3_BUCKET,
+                    Key: key,
+                    Body: buffer,
+                    ContentType: contentType,
+                    CacheControl: "public, max-age=31536000, immutable",
+                })
+            );
+            return `${publicUrl()}/${key}`;
+        },
+        async delete(key) {
+            const { client, DeleteObjectCommand } = await getClient();
+            await client.send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+        },
+    };
+};
+
+const drivers = new Map([
+    ["local", localDriver],
+    ["s3", createS3Driver()],
+]);
+
+export const registerStorageDriver = (name, driver) => {
+    if (!driver || typeof driver.put !== "function" || typeof driver.delete !== "function") {
+        throw new Error(`Storage driver "${name}" must implement put(key, buffer, contentType) and delete(key)`);
+    }
+    drivers.set(name, driver);
+};
+
+export const getStorage = () => {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const driver = drivers.get(name);
+    if (!driver) {
+        throw new Error(`Unknown storage driver "${name}"`);
+    }
+    return driver;
+};
+
+// Best effort, a file we fail to remove is only wasted space
+export const deleteFiles = async (keys = []) => {
+    const storage = getStorage();
+    await Promise.all(
+        keys.map((key) =>
+            storage.delete(key).catch((error) => console.error(`Error deleting stored file ${key}:`, error))
+        )
+    );
+};
+
+export default {
+    getUploadDir,
+    registerStorageDriver,
+    getStorage,
+    deleteFiles,
+};
@@ -0,0 +1,45 @@
+// Turn a user agent string into a short label like "Chrome on Windows"
+const describeDevice = (userAgent = "") => {
+    const browsers = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Chrome", /Chrome\//],
+        ["Firefox", /Firefox\//],
+        ["Safari", /Safari\//],
+    ];
+    const platforms = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad|iPod/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X|Macintosh/],
+        ["Linux", /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const platform = platforms.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (!browser && !platform) return "Unknown device";
+    if (!platform) return browser;
+    if (!browser) return platform;
+    return `${browser} on ${platform}`;
+};
+
+// Public base URL of this API, used for links that hit the backend directly
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 8080}/api/v1`;
+
+// Base URL of the frontend, used for links the SPA handles
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// Rows of flat objects to CSV, nested values are written as JSON. Columns default to every
+// key found in any row, optional fields are often missing from the first one.
+const toCsv = (rows, columns = [...new Set(rows.flatMap((row) => Object.keys(row)))]) => {
+    const escape = (value) => {
+        if (value === null || value === undefined) return "";
+        const text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(","), ...rows.map((row) => columns.map((column) => escape(row[column])).join(","))].join("\n");
+};
+
+export { describeDevice, getApiUrl, getClientUrl, toCsv };